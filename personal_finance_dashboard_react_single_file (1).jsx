@@ -2,21 +2,51 @@
 // Features included:
 // - Authentication (Firebase Google + Email)
 // - Cloud sync with Firestore (transactions, budgets, goals, investments, prefs)
-// - Recurring transactions engine (creates future occurrences)
-// - Financial goals with progress & deadlines
-// - Multi-currency support with exchange-rate fetch (placeholder API)
-// - AI-like insights (rule-based) and balance forecasting
+// - Offline-first: IndexedDB copy of every entity (signed-out books in the device store, signed-in books in Firestore's
+//   persistent cache), pending-operations queue merged on sign-in / reconnect with per-field last-writer-wins and a
+//   visible conflict list
+// - Shared household ledgers: owner/editor/viewer members, email invitations, "entered by" attribution, personal /
+//   shared ledger switcher, settle-up (who owes whom); roles enforced on write and by firestore.rules
+// - Pluggable storage repositories: Firestore (optionally the emulator), IndexedDB/localStorage-only, in-memory
+// - Recurring schedules (every N days/weeks/months/years, month-end clamping, last business day) materialized
+//   idempotently up to today on every load, with skip/edit of single occurrences and an upcoming-bills view
+// - Financial goals: manual or linked-transaction contributions, progress, required monthly saving & projected completion
+// - Multi-currency support: exchange-rate fetch (placeholder API), offline rate cache, per-transaction
+//   historical rates and conversion of every total into the display currency
+// - Insights engine: registered rule modules with a severity and per-item dismissal — subscription detection with
+//   price-increase flags, unusual transactions (category z-score), spending pace vs last month, duplicate charges,
+//   cash-flow, forecast & goal warnings
+// - Cash-flow forecast: day-by-day running balance for 3-12 months from recurring schedules, per-category averages,
+//   month-of-year seasonality & recent trend, with a confidence band and an early negative-balance warning
+// - Accounts (bank/card/cash/loan/wallet) with opening & running balances, transfers (neutral in income/expense),
+//   split transactions across categories, statement reconciliation that locks cleared rows
+// - Transaction manager: search & filters, paginated table, inline edit, bulk re-categorize/delete, undo, trash view
+//   (soft-deleted rows are excluded from every total, chart, alert and export)
+// - Reports for any period: category pie, monthly income vs expense, net worth (cash + investments), month-over-month
+//   table; every chart drills into the transaction list and the PDF/CSV report exports share the same aggregations
 // - PDF & CSV export (jsPDF + CSV)
+// - Tax summary per financial year (April–March by default; report year presets and insights follow it): transactions
+//   & investment buys tagged by section (80C, 80D, HRA, …) totalled against caps, short/long-term capital gains from
+//   the investment ledger's sold lots, PDF & CSV export
+// - Versioned JSON backup of every entity (optionally passphrase-encrypted), restore by merge or replace with a preview;
+//   stored documents from older schema versions are migrated on load
 // - Dark mode / theme switching
-// - Investment & net worth tracking
-// - Push/browser notifications for budget alerts & reminders
-// - Import (CSV) and basic bank-integration placeholder (webhook / aggregator)
+// - Investment ledger (buy/sell/dividend/split), FIFO or average-cost lots, realized/unrealized gains, XIRR,
+//   manual or file-imported closing prices, net worth tracking
+// - Budgets: monthly & custom-period per category, optional rollover, envelope ("unassigned money") view, budget-vs-actual history
+// - Notifications: per-budget thresholds raised once per period, bill & goal-deadline reminders, quiet hours,
+//   browser notifications with an in-app notification center as fallback
+// - Statement import (CSV/OFX/QIF) with per-bank column-mapping profiles, preview & duplicate detection
+// - Rule-based auto-categorization (payee contains/regex, amount range, account, type; priority order) on manual entry,
+//   import & bank ingestion, learning rules from manual re-categorizations
+// - Bank-feed ingestion (paste/upload): HMAC-signed batches, idempotent on the provider's transaction id,
+//   pending → posted matching, per-batch ingestion log; a mock aggregator for trying it offline
 // NOTE: This is a large, opinionated single-file component to act as a reference starter.
 
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithPopup, GoogleAuthProvider, onAuthStateChanged, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword } from 'firebase/auth';
-import { getFirestore, doc, setDoc, getDoc, collection, addDoc, query, onSnapshot, where, orderBy, serverTimestamp, updateDoc } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, signInWithPopup, GoogleAuthProvider, onAuthStateChanged, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, memoryLocalCache, connectFirestoreEmulator, doc, setDoc, getDoc, collection, query, onSnapshot, orderBy, where } from 'firebase/firestore';
 import jsPDF from 'jspdf';
 
 // --- CONFIG: Replace with your Firebase project information ---
@@ -31,411 +61,4380 @@ const FIREBASE_CONFIG = {
 
 // Currency rates API placeholder (free endpoints exist e.g., exchangerate.host)
 const EXCHANGE_API = 'https://api.exchangerate.host/latest'; // ?base=USD&symbols=INR,EUR
+const EXCHANGE_HISTORY_API = 'https://api.exchangerate.host/'; // + YYYY-MM-DD?base=USD
 
-// Initialize Firebase
-const app = initializeApp(FIREBASE_CONFIG);
-const auth = getAuth(app);
-const db = getFirestore(app);
+// Storage backend: 'firestore' (cloud sync + device copy), 'local' (IndexedDB/localStorage only, no sign-in) or
+// 'memory' (nothing persisted; tests & demos). `emulator` points Firestore/Auth at the local emulator suite,
+// e.g. { host: 'localhost', firestorePort: 8080, authPort: 9099 }. Can also be passed as the `storage` prop.
+const STORAGE_CONFIG = { backend: 'firestore', emulator: null };
 
 // Utility helpers
 const uid = () => Math.random().toString(36).slice(2, 10);
 const todayISO = () => new Date().toISOString().slice(0,10);
 
-function formatAmount(n, currencySymbol = '₹'){
+// Intl currency formatting for any ISO 4217 code (legacy '₹' / '$' symbols are still accepted)
+function formatAmount(n, currency = 'INR'){
+  const code = currency === '₹' ? 'INR' : currency === '$' ? 'USD' : currency;
   try{
-    if(currencySymbol === '₹') return new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(n);
-    if(currencySymbol === '$') return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(n);
-    return `${currencySymbol}${n.toLocaleString()}`;
-  }catch(e){ return `${currencySymbol}${n}`; }
-}
-
-// Recurring helper: next occurrence
-function addInterval(dateStr, interval){
-  const d = new Date(dateStr);
-  switch(interval){
-    case 'daily': d.setDate(d.getDate()+1); break;
-    case 'weekly': d.setDate(d.getDate()+7); break;
-    case 'monthly': d.setMonth(d.getMonth()+1); break;
-    case 'yearly': d.setFullYear(d.getFullYear()+1); break;
+    return new Intl.NumberFormat(code === 'INR' ? 'en-IN' : undefined, { style: 'currency', currency: code }).format(n);
+  }catch(e){ return `${code} ${Number(n).toLocaleString()}`; }
+}
+
+// ---------- Local persistence (IndexedDB, localStorage fallback) & sync queue ----------
+// Every signed-out entity is stored as { key:'coll/id', coll, id, data } in the `entities` store. Writes made while
+// signed out or offline are appended to `queue` as { seq, scope, coll, id, data, merge, ts, base } (base = the fields'
+// previous values) and replayed into the cloud on sign-in / reconnect with per-field last-writer-wins; until then a
+// signed-in offline write exists only in the queue and is laid over its scope's cloud snapshot.
+// Documents written to the cloud carry `_ts: { field: ms }` so the merge can tell which side changed last.
+const LOCAL_DB_NAME = 'pfd-local';
+let localDBPromise = null;
+
+function openLocalDB(){
+  localDBPromise = localDBPromise || new Promise((resolve, reject)=>{
+    const req = indexedDB.open(LOCAL_DB_NAME, 1);
+    req.onupgradeneeded = ()=>{
+      const idb = req.result;
+      idb.createObjectStore('entities', { keyPath: 'key' });
+      idb.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+    };
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error);
+  });
+  return localDBPromise;
+}
+
+function idbRequest(storeName, mode, fn){
+  return openLocalDB().then(idb=> new Promise((resolve, reject)=>{
+    const tx = idb.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = ()=> resolve(req.result);
+    tx.onerror = ()=> reject(tx.error);
+  }));
+}
+
+const idbStore = {
+  all: () => idbRequest('entities', 'readonly', s=> s.getAll()),
+  put: (coll, id, data) => idbRequest('entities', 'readwrite', s=> s.put({ key: `${coll}/${id}`, coll, id, data })),
+  clear: () => idbRequest('entities', 'readwrite', s=> s.clear()),
+  enqueue: op => idbRequest('queue', 'readwrite', s=> s.add(op)),
+  pending: () => idbRequest('queue', 'readonly', s=> s.getAll()),
+  dequeue: seq => idbRequest('queue', 'readwrite', s=> s.delete(seq)),
+};
+
+// same interface over localStorage for browsers/environments without IndexedDB
+const readJSON = (key, fallback) => { try{ return JSON.parse(localStorage.getItem(key)) || fallback; }catch(e){ return fallback; } };
+const writeJSON = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+const webStorageStore = {
+  all: async () => Object.values(readJSON('pfd:entities', {})),
+  put: async (coll, id, data) => writeJSON('pfd:entities', { ...readJSON('pfd:entities', {}), [`${coll}/${id}`]: { key: `${coll}/${id}`, coll, id, data } }),
+  clear: async () => localStorage.removeItem('pfd:entities'),
+  enqueue: async op => { const q = readJSON('pfd:queue', { seq: 0, ops: [] }); q.seq++; q.ops.push({ ...op, seq: q.seq }); writeJSON('pfd:queue', q); },
+  pending: async () => readJSON('pfd:queue', { seq: 0, ops: [] }).ops,
+  dequeue: async seq => { const q = readJSON('pfd:queue', { seq: 0, ops: [] }); writeJSON('pfd:queue', { ...q, ops: q.ops.filter(o=> o.seq !== seq) }); },
+};
+
+const localStore = typeof indexedDB !== 'undefined' ? idbStore : webStorageStore;
+
+const fieldStamps = (data, ts) => Object.fromEntries(Object.keys(data).filter(k=> k !== '_ts').map(k=> [k, ts]));
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// per-field last-writer-wins between a queued write and the current cloud document.
+// A field only conflicts when the cloud changed it too (cloud value != the value the local edit started from).
+function mergeQueuedOp(op, cloud){
+  if(!cloud) return { write: op.data, conflicts: [] };
+  const write = {}; const conflicts = [];
+  Object.entries(op.data).forEach(([field, value])=>{
+    if(field === '_ts' || sameValue(cloud[field], value)) return;
+    const base = op.base ? op.base[field] : undefined;
+    if(op.base && sameValue(cloud[field], base)){ write[field] = value; return; }
+    const cloudTs = (cloud._ts || {})[field] || 0;
+    const winner = op.ts >= cloudTs ? 'local' : 'cloud';
+    if(winner === 'local') write[field] = value;
+    conflicts.push({ id: uid(), coll: op.coll, docId: op.id, field, local: value, cloud: cloud[field], winner, at: new Date(Math.max(op.ts, cloudTs)).toISOString() });
+  });
+  return { write, conflicts };
+}
+
+// a scope's documents with this device's queued (not yet uploaded) writes to that scope laid over them
+function withPendingOps(docs, ops, scope, coll){
+  const mine = ops.filter(op=> op.scope === scope && op.coll === coll);
+  if(!scope || !mine.length) return docs;
+  const byId = new Map(docs.map(d=> [d.id, d]));
+  mine.forEach(op=>{
+    const current = byId.get(op.id);
+    byId.set(op.id, { ...(op.merge && current ? deepMerge(current, op.data) : op.data), id: op.id });
+  });
+  return [...byId.values()];
+}
+
+// ---------- Storage repositories ----------
+// Every backend implements the same document interface over the collections below (meta holds the budgets,
+// prefs and importProfiles docs); `scope` is the signed-in uid, a shared ledger ('ledgers/{id}', see "Shared
+// ledgers") or DEVICE_SCOPE for the device store:
+//   subscribe(scope, onChange) -> unsubscribe   onChange(coll, [{ id, ...data }]) on every change
+//   get(scope, coll, id) -> data | null
+//   put(scope, coll, id, data, { merge })       merge deep-merges maps like Firestore's setDoc(..., { merge:true })
+//   clear(scope)                                (device stores only)
+// The cloud backend also provides auth(), subscribeLedgers(user, onChange) and putLedger(id, data).
+const COLLECTIONS = ['transactions', 'accounts', 'goals', 'investments', 'recurring', 'prices', 'settlements', 'feedLogs', 'meta'];
+const DEVICE_SCOPE = 'device';
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function deepMerge(target, patch){
+  const out = { ...target };
+  Object.entries(patch).forEach(([k, v])=>{ out[k] = isPlainObject(v) && Object.keys(v).length && isPlainObject(out[k]) ? deepMerge(out[k], v) : v; });
+  return out;
+}
+
+function createMemoryRepository(){
+  const docs = {}; // 'scope/coll' -> { id: data }
+  const listeners = new Set();
+  const bucket = (scope, coll) => (docs[`${scope}/${coll}`] = docs[`${scope}/${coll}`] || {});
+  const list = (scope, coll) => Object.entries(bucket(scope, coll)).map(([id, data])=> ({ id, ...data }));
+  const emit = (scope, coll) => listeners.forEach(l=> { if(l.scope === scope) l.onChange(coll, list(scope, coll)); });
+  return {
+    name: 'memory',
+    subscribe(scope, onChange){
+      const listener = { scope, onChange };
+      listeners.add(listener);
+      COLLECTIONS.forEach(coll=> onChange(coll, list(scope, coll)));
+      return ()=> listeners.delete(listener);
+    },
+    async get(scope, coll, id){ const d = bucket(scope, coll)[id]; return d ? { ...d } : null; },
+    async put(scope, coll, id, data, { merge = false } = {}){
+      const b = bucket(scope, coll);
+      b[id] = merge && b[id] ? deepMerge(b[id], data) : { ...data };
+      emit(scope, coll);
+    },
+    async clear(scope){ COLLECTIONS.forEach(coll=> { docs[`${scope}/${coll}`] = {}; emit(scope, coll); }); },
+    // bulk load without per-document notifications (used to hydrate from disk)
+    load(scope, rows){
+      rows.forEach(r=> { bucket(scope, r.coll)[r.id] = r.data; });
+      new Set(rows.map(r=> r.coll)).forEach(coll=> emit(scope, coll));
+    },
+  };
+}
+
+// the device store: an in-memory repository hydrated from, and written through to, `localStore`
+function createLocalRepository(){
+  const mem = createMemoryRepository();
+  let ready = null;
+  const hydrate = () => (ready = ready || localStore.all().then(rows=> mem.load(DEVICE_SCOPE, rows)).catch(e=> console.warn('Failed to load local data', e)));
+  return {
+    name: 'local',
+    // first notification only once the disk copy is loaded, so nobody mistakes the empty cache for the data
+    subscribe(scope, onChange){
+      let unsub = null; let closed = false;
+      hydrate().then(()=> { if(!closed) unsub = mem.subscribe(scope, onChange); });
+      return ()=> { closed = true; if(unsub) unsub(); };
+    },
+    async get(scope, coll, id){ await hydrate(); return mem.get(scope, coll, id); },
+    async put(scope, coll, id, data, options){
+      await hydrate();
+      await mem.put(scope, coll, id, data, options);
+      await localStore.put(coll, id, await mem.get(scope, coll, id));
+    },
+    async clear(scope){ await hydrate(); await mem.clear(scope); await localStore.clear(); },
+  };
+}
+
+// Firestore under users/{uid}/{coll}/{id} or ledgers/{id}/{coll}/{id}; Firebase is only initialized on first use
+function createFirestoreRepository(config = FIREBASE_CONFIG, { emulator = null } = {}){
+  let app = null; let firestore = null; let authClient = null;
+  const firebaseApp = () => (app = app || initializeApp(config));
+  const fs = () => {
+    if(!firestore){
+      // snapshots are cached in IndexedDB, so a signed-in reload while offline still shows the books
+      firestore = initializeFirestore(firebaseApp(), { localCache: typeof indexedDB !== 'undefined' ? persistentLocalCache({ tabManager: persistentMultipleTabManager() }) : memoryLocalCache() });
+      if(emulator) connectFirestoreEmulator(firestore, emulator.host, emulator.firestorePort || 8080);
+    }
+    return firestore;
+  };
+  const ORDER = { transactions: ['date', 'desc'], goals: ['deadline', 'asc'] };
+  const path = scope => scope.includes('/') ? scope.split('/') : ['users', scope];
+  return {
+    name: 'firestore',
+    auth(){
+      if(!authClient){
+        authClient = getAuth(firebaseApp());
+        if(emulator) connectAuthEmulator(authClient, `http://${emulator.host}:${emulator.authPort || 9099}`);
+      }
+      return authClient;
+    },
+    subscribe(scope, onChange){
+      const unsubs = COLLECTIONS.map(coll=>{
+        const ref = collection(fs(), ...path(scope), coll);
+        return onSnapshot(ORDER[coll] ? query(ref, orderBy(...ORDER[coll])) : query(ref), snap=> onChange(coll, snap.docs.map(d=> ({ id: d.id, ...d.data() }))));
+      });
+      return ()=> unsubs.forEach(u=> u());
+    },
+    async get(scope, coll, id){ const snap = await getDoc(doc(fs(), ...path(scope), coll, id)); return snap.exists() ? snap.data() : null; },
+    async put(scope, coll, id, data, { merge = false } = {}){ await setDoc(doc(fs(), ...path(scope), coll, id), data, { merge }); },
+    // ledgers the user is a member of or invited to: onChange([{ id, ...ledger }])
+    subscribeLedgers(user, onChange){
+      const found = { member: [], invited: [] };
+      const ref = collection(fs(), 'ledgers');
+      const watch = (key, q) => onSnapshot(q, snap=>{
+        found[key] = snap.docs.map(d=> ({ id: d.id, ...d.data() }));
+        onChange([...new Map([...found.member, ...found.invited].map(l=> [l.id, l])).values()]);
+      }, e=> console.warn('Failed to load shared ledgers', e));
+      const unsubs = [watch('member', query(ref, where('memberIds', 'array-contains', user.uid)))];
+      // the rules only show invitations to verified addresses, so an unverified one would just be refused
+      if(user.email && user.emailVerified) unsubs.push(watch('invited', query(ref, where('inviteEmails', 'array-contains', normalizeEmail(user.email)))));
+      return ()=> unsubs.forEach(u=> u());
+    },
+    async putLedger(id, data){ await setDoc(doc(fs(), 'ledgers', id), data); },
+  };
+}
+
+// { remote, device }: remote is the cloud backend (null when running purely locally)
+function createRepositories(config = STORAGE_CONFIG){
+  if(config.backend === 'memory') return { remote: null, device: createMemoryRepository() };
+  const device = createLocalRepository();
+  if(config.backend === 'local') return { remote: null, device };
+  return { remote: createFirestoreRepository(config.firebase || FIREBASE_CONFIG, config), device };
+}
+
+// ---------- Sync engine (write path & offline queue) ----------
+// The single write path and the queue replay, kept out of the component so they can run against any `repos` and
+// queue `store`. `context()` is read at call time and describes the app as it is now:
+//   { uid, scope, online, role, ledgerName, current(coll, id), apply(coll, id, entity), notice(text),
+//     conflicts(found), pending(ops), resync(scope) }
+// apply shows a write the open ledger's subscription won't echo; pending(ops) gets the queue after every change to it;
+// resync(scope) asks for the last snapshots of `scope` to be shown again once uploaded ops no longer overlay them.
+function createSyncEngine(repos, context, store = localStore){
+  let flushing = false;
+  let ops = []; // the queue as last read, shown over the cloud snapshots until uploaded
+
+  async function refresh(){
+    ops = await store.pending().catch(()=> ops);
+    context().pending(ops);
+  }
+
+  // the open ledger in the cloud when signed in and online, otherwise the device repository (+ the queue when
+  // there is a cloud to replay into). Viewers of a shared ledger can only change their own display preferences,
+  // which are always kept in their personal books.
+  async function persist(coll, id, data, { merge = false } = {}){
+    const ctx = context();
+    const ts = Date.now();
+    const personal = coll === 'meta' && id === 'prefs';
+    const target = personal ? ctx.uid : ctx.scope;
+    if(!personal && !canWrite(ctx.role)){ ctx.notice(`You have view-only access to “${ctx.ledgerName}”.`); return; }
+    const old = ctx.current(coll, id);
+    if(coll === 'transactions' && !old && ctx.uid) data = { ...data, enteredBy: ctx.uid };
+    const { id: _omit, ...prev } = old || {};
+    const entity = merge && old ? { ...prev, ...data } : data;
+    if(ctx.uid && ctx.online){
+      await repos.remote.put(target, coll, id, { ...data, _ts: fieldStamps(data, ts) }, { merge });
+      // no subscription echoes writes outside the open ledger
+      if(target !== ctx.scope) ctx.apply(coll, id, entity);
+      return;
+    }
+    try{
+      // signed-out changes are the device's own books and come back through its subscription; signed-in offline
+      // changes only wait in the queue (laid over the cloud snapshot), so a ledger never shows up as signed-out data
+      if(ctx.uid) ctx.apply(coll, id, entity);
+      else await repos.device.put(DEVICE_SCOPE, coll, id, entity);
+      if(!repos.remote) return;
+      await store.enqueue({ scope: target, coll, id, data, merge, ts, base: old ? Object.fromEntries(Object.keys(data).map(k=> [k, prev[k] ?? null])) : null });
+      await refresh();
+    }catch(e){ console.warn('Failed to save locally', e); }
+  }
+
+  // replay queued writes into the cloud, resolving field conflicts last-writer-wins
+  async function flush(){
+    if(flushing) return;
+    flushing = true;
+    const { uid: userId, scope } = context();
+    try{
+      for(const op of await store.pending()){
+        const target = op.scope || userId; // ops queued before shared ledgers carry no scope
+        try{
+          const cloud = await repos.remote.get(target, op.coll, op.id);
+          const { write, conflicts } = mergeQueuedOp(op, cloud);
+          if(Object.keys(write).length) await repos.remote.put(target, op.coll, op.id, { ...write, _ts: fieldStamps(write, op.ts) }, { merge: !!cloud || op.merge });
+          if(conflicts.length) context().conflicts(conflicts);
+        }catch(e){
+          // access to a shared ledger was removed (or narrowed to viewer) while offline: the read or the write is
+          // refused for good, so drop the change instead of blocking the rest of the queue behind it
+          if(e.code !== 'permission-denied') throw e;
+          context().notice('An offline change was discarded: you can no longer edit that ledger.');
+        }
+        await store.dequeue(op.seq);
+      }
+      // the signed-out books now live in the cloud; the device store only keeps later signed-out writes
+      await repos.device.clear(DEVICE_SCOPE);
+    }catch(e){ console.warn('Sync failed; pending changes will be retried', e); }
+    finally{
+      flushing = false;
+      await refresh();
+      // uploaded ops no longer overlay the snapshot (a field the cloud won shows the cloud value again)
+      context().resync(scope);
+    }
+  }
+
+  return { persist, flush, refresh, pending: () => ops };
+}
+
+// ---------- Shared ledgers (roles, invitations, settle-up) ----------
+// A shared ledger holds the same collections as personal books, under ledgers/{id}/{coll} instead of
+// users/{uid}/{coll}. The ledger document lists members and open invitations; memberIds / inviteEmails mirror
+// the map keys so they can be queried (array-contains) and checked by firestore.rules:
+//   { name, owner, members: { uid: role }, memberIds, names: { uid: label }, invites: { email: role }, inviteEmails, createdAt }
+// owner: manages members; editor: reads & writes the data; viewer: read-only.
+const LEDGER_ROLES = [['owner','Owner'], ['editor','Editor'], ['viewer','Viewer']];
+const PERSONAL_LEDGER = ''; // ledger id standing for the signed-in user's own books
+const ACTIVE_LEDGER_KEY = 'pfd:ledger';
+
+// repository scope: a plain uid means users/{uid}
+const ledgerScope = (userId, ledgerId) => ledgerId ? `ledgers/${ledgerId}` : userId;
+const normalizeEmail = email => String(email || '').trim().toLowerCase();
+const memberLabel = user => user.displayName || user.email || user.uid;
+
+// everyone owns their personal books (ledger = null); null when not a member
+function ledgerRole(ledger, userId){
+  if(!ledger) return 'owner';
+  return (ledger.members || {})[userId] || null;
+}
+const canWrite = role => role === 'owner' || role === 'editor';
+
+function withLedgerIndexes(ledger){
+  return { ...ledger, memberIds: Object.keys(ledger.members || {}), inviteEmails: Object.keys(ledger.invites || {}) };
+}
+
+function createLedger(name, user){
+  return withLedgerIndexes({ name, owner: user.uid, members: { [user.uid]: 'owner' }, names: { [user.uid]: memberLabel(user) }, invites: {}, createdAt: new Date().toISOString() });
+}
+
+function inviteMember(ledger, email, role){
+  return withLedgerIndexes({ ...ledger, invites: { ...ledger.invites, [normalizeEmail(email)]: role } });
+}
+
+function revokeInvite(ledger, email){
+  const { [normalizeEmail(email)]: _omit, ...invites } = ledger.invites || {};
+  return withLedgerIndexes({ ...ledger, invites });
+}
+
+// the invited user joins with the role they were invited with
+function acceptInvite(ledger, user){
+  const role = (ledger.invites || {})[normalizeEmail(user.email)];
+  if(!role) return null;
+  const next = revokeInvite(ledger, user.email);
+  return withLedgerIndexes({ ...next, members: { ...next.members, [user.uid]: role }, names: { ...next.names, [user.uid]: memberLabel(user) } });
+}
+
+function setMemberRole(ledger, userId, role){
+  if(userId === ledger.owner || role === 'owner') return ledger;
+  return withLedgerIndexes({ ...ledger, members: { ...ledger.members, [userId]: role } });
+}
+
+// names are kept so "entered by" still reads for former members
+function removeMember(ledger, userId){
+  if(userId === ledger.owner) return ledger;
+  const { [userId]: _omit, ...members } = ledger.members || {};
+  return withLedgerIndexes({ ...ledger, members });
+}
+
+// Who owes whom: each shared expense is split equally between the members who can enter data (owners & editors)
+// and credited to whoever paid it (paidBy, else enteredBy). Settlements { from, to, amount, currency, date }
+// record repayments. Suggested transfers pair the largest debtor with the largest creditor until all are square.
+function settleUp(transactions, settlements, ledger, fx){
+  const people = Object.entries(ledger.members || {}).filter(([, role])=> canWrite(role)).map(([id])=> id);
+  const rows = {};
+  const row = id => (rows[id] = rows[id] || { id, paid: 0, share: 0, settled: 0 });
+  people.forEach(row);
+  transactions.filter(t=> t.type === 'expense' && !t.deleted && (t.paidBy || t.enteredBy)).forEach(t=>{
+    const amount = fx.tx(t);
+    row(t.paidBy || t.enteredBy).paid += amount;
+    people.forEach(p=> { rows[p].share += amount / people.length; });
+  });
+  (settlements || []).filter(s=> !s.deleted).forEach(s=>{
+    const amount = fx.convert(s.amount, s.currency, s.date);
+    row(s.from).settled += amount;
+    row(s.to).settled -= amount;
+  });
+  const balances = Object.values(rows).map(r=> ({ ...r, paid: round2(r.paid), share: round2(r.share), net: round2(r.paid - r.share + r.settled) }));
+  const debtors = balances.filter(b=> b.net < 0).map(b=> ({ id: b.id, left: -b.net })).sort((a, b)=> b.left - a.left);
+  const creditors = balances.filter(b=> b.net > 0).map(b=> ({ id: b.id, left: b.net })).sort((a, b)=> b.left - a.left);
+  const transfers = [];
+  for(let i = 0, j = 0; i < debtors.length && j < creditors.length;){
+    const amount = Math.min(debtors[i].left, creditors[j].left);
+    if(amount >= 0.01) transfers.push({ from: debtors[i].id, to: creditors[j].id, amount: round2(amount) });
+    debtors[i].left -= amount; creditors[j].left -= amount;
+    if(debtors[i].left < 0.01) i++;
+    if(creditors[j].left < 0.01) j++;
+  }
+  return { balances, transfers };
+}
+
+// ---------- Recurring schedules ----------
+// A rule is stored in `recurring/{id}`: { id, template:{type, amount, category, note, currency},
+// schedule:{ interval:'daily'|'weekly'|'monthly'|'yearly', every, monthDay:'same'|'last-business-day', start, endDate },
+// exceptions:{ [occurrence]: { skip:true } | { overrides:{amount, note, date} } }, materializedThrough }.
+// Occurrences are always computed from the anchor date (no drift past the 31st) and materialized as
+// transactions with the deterministic id `${ruleId}_${occurrence}`, so running it twice is harmless.
+const DAY_MS = 1000*60*60*24;
+const isoOfUTC = ms => new Date(ms).toISOString().slice(0,10);
+const addDaysISO = (iso, n) => { const [y,m,d] = iso.split('-').map(Number); return isoOfUTC(Date.UTC(y, m-1, d) + n*DAY_MS); };
+const daysInMonth = (y, m0) => new Date(Date.UTC(y, m0+1, 0)).getUTCDate();
+
+function lastBusinessDay(y, m0){
+  let d = daysInMonth(y, m0);
+  while([0,6].includes(new Date(Date.UTC(y, m0, d)).getUTCDay())) d--;
+  return isoOfUTC(Date.UTC(y, m0, d));
+}
+
+// n-th (0-based) scheduled date; month-end days are clamped (Jan 31 -> Feb 28/29 -> Mar 31)
+function nthOccurrence(schedule, n){
+  const every = Math.max(1, Number(schedule.every) || 1);
+  const [y, m, d] = schedule.start.split('-').map(Number);
+  switch(schedule.interval){
+    case 'daily': return isoOfUTC(Date.UTC(y, m-1, d) + n*every*DAY_MS);
+    case 'weekly': return isoOfUTC(Date.UTC(y, m-1, d) + n*every*7*DAY_MS);
+    case 'monthly': {
+      const months = m-1 + n*every; const yy = y + Math.floor(months/12); const m0 = months % 12;
+      if(schedule.monthDay === 'last-business-day') return lastBusinessDay(yy, m0);
+      return isoOfUTC(Date.UTC(yy, m0, Math.min(d, daysInMonth(yy, m0))));
+    }
+    case 'yearly': { const yy = y + n*every; return isoOfUTC(Date.UTC(yy, m-1, Math.min(d, daysInMonth(yy, m-1)))); }
     default: return null;
   }
-  return d.toISOString().slice(0,10);
 }
 
-// ---------- React Component ----------
-export default function AdvancedFinanceApp(){
-  // Auth & user
-  const [user, setUser] = useState(null);
-  const [uidLocal, setUidLocal] = useState(null);
+// scheduled dates within [from, to] (inclusive)
+function occurrencesBetween(schedule, from, to){
+  const out = [];
+  for(let n = 0; n < 100000; n++){
+    const d = nthOccurrence(schedule, n);
+    if(!d || d > to || (schedule.endDate && d > schedule.endDate)) break;
+    if(d >= from && d >= schedule.start) out.push(d);
+  }
+  return out;
+}
+
+// the transaction for one occurrence with its single-occurrence edit applied; null when skipped
+function occurrenceTxn(rule, occurrence){
+  const ex = (rule.exceptions || {})[occurrence] || {};
+  if(ex.skip) return null;
+  const overrides = ex.overrides || {};
+  return { ...rule.template, ...overrides, date: overrides.date || occurrence, recurringId: rule.id, occurrence, id: `${rule.id}_${occurrence}` };
+}
+
+// transactions due since the rule was last materialized, up to `until`
+function dueOccurrences(rule, until){
+  const from = rule.materializedThrough ? addDaysISO(rule.materializedThrough, 1) : rule.schedule.start;
+  if(from > until) return [];
+  return occurrencesBetween(rule.schedule, from, until).map(occ=> occurrenceTxn(rule, occ)).filter(Boolean);
+}
+
+// upcoming occurrences of every rule within [from, to], including skipped ones (so they can be un-skipped)
+function upcomingOccurrences(rules, from, to){
+  return rules.flatMap(rule=> occurrencesBetween(rule.schedule, from, to).map(occ=> ({
+    rule, occurrence: occ, skipped: !!(rule.exceptions || {})[occ]?.skip, tx: occurrenceTxn(rule, occ) || { ...rule.template, date: occ },
+  }))).sort((a,b)=> a.tx.date.localeCompare(b.tx.date));
+}
+
+// rules for transactions created by the old engine ({ recurring:{interval, endDate} } copied onto each instance)
+function legacyRecurringRules(transactions){
+  const groups = {};
+  transactions.filter(t=> t.recurring?.interval && !t.recurringId).forEach(t=>{
+    const key = [t.type, t.category, t.note, t.amount, t.currency, t.recurring.interval].join('|');
+    (groups[key] = groups[key] || []).push(t);
+  });
+  return Object.entries(groups).map(([key, list])=>{
+    const dates = list.map(t=> t.date).sort();
+    const { type, amount, category, note, currency, recurring } = list[0];
+    let hash = 0; for(const ch of key) hash = (hash*31 + ch.charCodeAt(0)) | 0;
+    return { id: `legacy-${(hash >>> 0).toString(36)}`, template: { type, amount, category, note: note || '', currency: currency || null }, schedule: { interval: recurring.interval, every: 1, monthDay: 'same', start: dates[0], endDate: recurring.endDate || null }, exceptions: {}, materializedThrough: dates[dates.length-1] };
+  });
+}
+
+// ---------- Goals (contributions & projections) ----------
+// A goal's saved amount is its opening `allocated` balance + manual `contributions` { [id]: { date, amount, currency, note } }
+// + every transaction linked to it through `goalId`. Pace is measured from the goal's creation date.
+// Contributions are keyed by id so two devices adding at once both land; a removed one is written as null.
+const AVG_MONTH_DAYS = 30.44;
+const monthsBetweenISO = (from, to) => (Date.parse(to) - Date.parse(from)) / (DAY_MS * AVG_MONTH_DAYS);
+
+// the contributions as a date-ordered list (also reads the array stored before schema 5)
+function goalContributions(goal){
+  const raw = goal.contributions || {};
+  const list = Array.isArray(raw) ? raw : Object.entries(raw).filter(([, c])=> c).map(([id, c])=> ({ ...c, id }));
+  return [...list].sort((a, b)=> (a.date || '').localeCompare(b.date || ''));
+}
+
+const contributionMap = goal => Object.fromEntries(goalContributions(goal).map(({ id, ...c })=> [id, c]));
+
+function goalProgress(goal, transactions, fx, today = todayISO()){
+  const target = fx.convert(goal.target, goal.currency);
+  const contributed = goalContributions(goal).reduce((a,c)=> a + fx.convert(c.amount, c.currency || goal.currency, c.date), 0);
+  const linked = transactions.filter(t=> t.goalId === goal.id);
+  const opening = fx.convert(Number(goal.allocated) || 0, goal.currency);
+  const saved = opening + contributed + linked.reduce((a,t)=> a + fx.tx(t), 0);
+  const remaining = Math.max(0, target - saved);
+  const pct = target > 0 ? Math.min(1, saved / target) : 0;
+  const monthsLeft = goal.deadline ? monthsBetweenISO(today, goal.deadline) : null;
+  // required saving per month to hit the deadline (everything is due now once it has passed)
+  const monthlyNeeded = remaining === 0 ? 0 : monthsLeft === null ? null : monthsLeft <= 1 ? remaining : remaining / monthsLeft;
+  const started = goal.createdAt || [...goalContributions(goal), ...linked].map(c=> c.date).sort()[0] || today;
+  const pace = (saved - opening) / Math.max(1, monthsBetweenISO(started, today));
+  const projectedDate = remaining === 0 ? today : pace > 0 ? addDaysISO(today, Math.ceil(remaining / pace * AVG_MONTH_DAYS)) : null;
+  let status = 'on-track';
+  if(remaining === 0) status = 'done';
+  else if(goal.deadline && goal.deadline < today) status = 'overdue';
+  else if(goal.deadline && (!projectedDate || projectedDate > goal.deadline)) status = 'behind';
+  return { target, saved, remaining, pct, monthlyNeeded, pace, projectedDate, status, linked };
+}
+
+// ---------- Investments (ledger, lots, gains, XIRR) ----------
+// `investments` docs are ledger entries: { id, symbol, kind:'buy'|'sell'|'dividend'|'split', date, quantity, price,
+// fees, amount (dividend), ratio (split, e.g. 2 for a 2-for-1), currency }. Legacy { symbol, quantity, avgPrice }
+// rows read as a buy on their createdAt date. Closing prices live in `prices/{symbol}`: { closes:{ 'YYYY-MM-DD': close } }.
+const LEDGER_KIND_ORDER = { split: 0, buy: 1, dividend: 2, sell: 3 };
+
+function normalizeLedgerEntry(e){
+  if(e.kind) return e;
+  return { ...e, kind: 'buy', date: e.date || e.createdAt || todayISO(), price: e.avgPrice, fees: 0 };
+}
+
+// most recent close on or before `date`: { date, close } or null
+function priceOn(prices, symbol, date = todayISO()){
+  const closes = prices[symbol] || {};
+  const day = Object.keys(closes).filter(d=> d <= date).sort().pop();
+  return day ? { date: day, close: closes[day] } : null;
+}
+
+// replays the ledger per symbol; `method` is 'fifo' or 'average' (average cost still consumes lots in FIFO
+// order so acquisition dates survive for holding-period purposes)
+function buildHoldings(entries, method = 'fifo'){
+  const bySymbol = {};
+  entries.map(normalizeLedgerEntry).sort((a,b)=> a.date.localeCompare(b.date) || LEDGER_KIND_ORDER[a.kind] - LEDGER_KIND_ORDER[b.kind]).forEach(e=>{
+    const h = bySymbol[e.symbol] = bySymbol[e.symbol] || { symbol: e.symbol, currency: e.currency || null, lots: [], realized: 0, dividends: 0, sales: [], cashflows: [] };
+    const qty = Number(e.quantity) || 0; const price = Number(e.price) || 0; const fees = Number(e.fees) || 0;
+    if(e.kind === 'buy'){
+      h.lots.push({ date: e.date, quantity: qty, cost: qty*price + fees });
+      h.cashflows.push({ date: e.date, amount: -(qty*price + fees) });
+      if(method === 'average'){
+        const q = h.lots.reduce((a,l)=> a+l.quantity, 0); const c = h.lots.reduce((a,l)=> a+l.cost, 0);
+        h.lots.forEach(l=> { l.cost = q ? c / q * l.quantity : 0; });
+      }
+    }else if(e.kind === 'sell'){
+      let left = Math.min(qty, h.lots.reduce((a,l)=> a+l.quantity, 0)); let cost = 0; const acquired = [];
+      while(left > 1e-9 && h.lots.length){
+        const lot = h.lots[0]; const take = Math.min(lot.quantity, left); const part = lot.cost / lot.quantity * take;
+        acquired.push({ date: lot.date, quantity: take, cost: part });
+        cost += part; lot.cost -= part; lot.quantity -= take; left -= take;
+        if(lot.quantity <= 1e-9) h.lots.shift();
+      }
+      const sold = acquired.reduce((a,x)=> a+x.quantity, 0);
+      const proceeds = sold*price - fees;
+      h.realized += proceeds - cost;
+      h.sales.push({ date: e.date, symbol: e.symbol, quantity: sold, proceeds, cost, gain: proceeds - cost, acquired });
+      h.cashflows.push({ date: e.date, amount: proceeds });
+    }else if(e.kind === 'dividend'){
+      const amt = Number(e.amount) || qty*price;
+      h.dividends += amt;
+      h.cashflows.push({ date: e.date, amount: amt });
+    }else if(e.kind === 'split'){
+      const ratio = Number(e.ratio) || 1;
+      h.lots.forEach(l=> { l.quantity *= ratio; });
+    }
+  });
+  return Object.values(bySymbol).map(h=>{
+    const quantity = h.lots.reduce((a,l)=> a+l.quantity, 0);
+    const costBasis = h.lots.reduce((a,l)=> a+l.cost, 0);
+    return { ...h, quantity, costBasis, avgCost: quantity ? costBasis / quantity : 0 };
+  });
+}
+
+// annualised internal rate of return for dated cash flows (bisection on NPV); null when undefined
+function xirr(flows){
+  if(!flows.some(f=> f.amount < 0) || !flows.some(f=> f.amount > 0)) return null;
+  const t0 = Math.min(...flows.map(f=> Date.parse(f.date)));
+  const npv = r => flows.reduce((a,f)=> a + f.amount / Math.pow(1+r, (Date.parse(f.date) - t0) / (DAY_MS*365)), 0);
+  let lo = -0.9999; let hi = 1;
+  while(npv(hi) > 0 && hi < 1e6) hi *= 2;
+  if(Math.sign(npv(lo)) === Math.sign(npv(hi))) return null;
+  for(let i=0; i<200; i++){
+    const mid = (lo + hi) / 2;
+    if(Math.sign(npv(mid)) === Math.sign(npv(lo))) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// holdings valued at the latest close, with per-holding and portfolio XIRR (portfolio in the display currency)
+function portfolioSummary(entries, prices, method, fx, today = todayISO()){
+  const holdings = buildHoldings(entries, method).map(h=>{
+    const last = priceOn(prices, h.symbol, today);
+    const marketValue = last ? h.quantity * last.close : h.costBasis;
+    const flows = [...h.cashflows, ...(h.quantity ? [{ date: today, amount: marketValue }] : [])];
+    return { ...h, last, marketValue, unrealized: marketValue - h.costBasis, xirr: xirr(flows) };
+  });
+  const inDisplay = (h, v, date) => fx.convert(v, h.currency, date);
+  const totals = holdings.reduce((a,h)=> ({
+    marketValue: a.marketValue + inDisplay(h, h.marketValue),
+    costBasis: a.costBasis + inDisplay(h, h.costBasis),
+    realized: a.realized + inDisplay(h, h.realized),
+    dividends: a.dividends + inDisplay(h, h.dividends),
+  }), { marketValue: 0, costBasis: 0, realized: 0, dividends: 0 });
+  const flows = holdings.flatMap(h=> h.cashflows.map(f=> ({ date: f.date, amount: inDisplay(h, f.amount, f.date) })));
+  if(totals.marketValue) flows.push({ date: today, amount: totals.marketValue });
+  return { holdings, ...totals, unrealized: totals.marketValue - totals.costBasis, xirr: xirr(flows) };
+}
+
+// "symbol,date,close" price file (header optional, any delimiter/date format) -> { symbol: { date: close } }
+function parsePriceFile(text){
+  const rows = parseCSV(text, detectDelimiter(text));
+  const out = {};
+  rows.forEach(r=>{
+    const date = parseDateStr(r[1]); const close = parseAmount(r[2]);
+    if(!r[0] || !date || !Number.isFinite(close)) return; // header or malformed row
+    const symbol = r[0].toUpperCase();
+    (out[symbol] = out[symbol] || {})[date] = close;
+  });
+  return out;
+}
+
+// ---------- Exchange rates & currency conversion ----------
+// Rate tables are USD-based ({ INR: 83.1, EUR: 0.92, ... } = units per 1 USD) as returned by EXCHANGE_API.
+// The latest table and one table per day seen are cached in localStorage so conversion keeps working offline.
+// Each transaction stores `fxRate` (units of its own currency per USD on its date) when it is created, so
+// historical totals don't move when today's rates do, plus `fxRates` — that date's table trimmed to the common
+// currencies and the display currency — so both legs of the cross rate come from the same day on every device.
+const RATES_CACHE_KEY = 'pfd:rates';
+const COMMON_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD', 'JPY', 'AUD', 'CAD'];
+
+function loadRateCache(){
+  try{ return JSON.parse(localStorage.getItem(RATES_CACHE_KEY)) || { latest: {}, history: {} }; }
+  catch(e){ return { latest: {}, history: {} }; }
+}
+
+function saveRateCache(cache){
+  try{ localStorage.setItem(RATES_CACHE_KEY, JSON.stringify(cache)); }catch(e){ console.warn('Failed to cache exchange rates', e); }
+}
+
+const usdRate = (table, currency) => currency === 'USD' ? 1 : table[currency];
+
+// `fxRates` for a merge write over a transaction: merges keep keys they aren't given, so currencies only the old
+// table had are written as null (read as missing) instead of lingering with another day's rates
+function replaceFxRates(previous, next){
+  return { ...Object.fromEntries(Object.keys(previous || {}).map(c=> [c, null])), ...(next || {}) };
+}
+
+// converter into the display currency; `history` is { 'YYYY-MM-DD': table }
+function createConverter(target, latest, history){
+  const days = Object.keys(history).sort();
+  // most recent cached table on or before `date`, falling back to the latest rates
+  function ratesOn(date){
+    let found = null;
+    for(const d of days){ if(d <= date) found = d; else break; }
+    return found ? { ...latest, ...history[found] } : latest;
+  }
+  function convert(value, from, date){
+    const src = from || target;
+    if(!value || src === target) return value || 0;
+    const table = date ? ratesOn(date) : latest;
+    const a = usdRate(table, src); const b = usdRate(table, target);
+    return a && b ? value / a * b : value;
+  }
+  function tx(t){
+    const src = t.currency || target;
+    if(src === target) return t.amount;
+    const table = t.fxRates && usdRate(t.fxRates, target) ? t.fxRates : ratesOn(t.date);
+    const a = t.fxRate || usdRate(table, src); const b = usdRate(table, target);
+    return a && b ? t.amount / a * b : t.amount;
+  }
+  return { currency: target, convert, tx, format: n => formatAmount(n, target) };
+}
+
+// ---------- Budgets (periods, rollover, envelopes) ----------
+// Stored as the `meta/budgets` doc: { currency, items: [{ id, category, amount, period:'monthly'|'custom',
+// startMonth (monthly, 'YYYY-MM'), amounts (monthly, [{ fromMonth, amount }] oldest first), start/end (custom, 'YYYY-MM-DD'), rollover }] }.
+// A monthly budget's amount changes from the month it is edited in, so past months and rollover keep what was budgeted
+// then; `amount` mirrors the latest entry. The legacy shape { Food: 5000, ... } is read as monthly budgets without rollover.
+const monthKeyOf = date => String(date).slice(0,7);
+
+function shiftMonth(key, n){
+  const [y, m] = key.split('-').map(Number);
+  return new Date(Date.UTC(y, m-1+n, 1)).toISOString().slice(0,7);
+}
+
+function monthRange(key){
+  const [y, m] = key.split('-').map(Number);
+  return { start: `${key}-01`, end: new Date(Date.UTC(y, m, 0)).toISOString().slice(0,10) };
+}
+
+// items saved before amount history count their one amount as budgeted since they started
+const withAmountHistory = item => item.period === 'custom' || Array.isArray(item.amounts) ? item : { ...item, amounts: [{ fromMonth: item.startMonth || '', amount: item.amount }] };
+
+function normalizeBudgets(raw){
+  if(!raw) return { currency: null, items: [] };
+  if(Array.isArray(raw.items)) return { currency: raw.currency || null, items: raw.items.map(withAmountHistory) };
+  const items = Object.entries(raw).filter(([k,v])=> k !== 'currency' && typeof v === 'number')
+    .map(([category, amount])=> withAmountHistory({ id: category, category, amount, period: 'monthly', rollover: false }));
+  return { currency: raw.currency || null, items };
+}
+
+// the amount a monthly budget had in `monthKey`
+function budgetAmountFor(item, monthKey){
+  const entry = [...(item.amounts || [])].reverse().find(a=> (a.fromMonth || '') <= monthKey);
+  return Number(entry ? entry.amount : item.amount) || 0;
+}
+
+// a monthly budget with `amount` in effect from `monthKey` on (replacing changes already set for that month or later)
+function setBudgetAmount(item, amount, monthKey){
+  const amounts = [...withAmountHistory(item).amounts.filter(a=> (a.fromMonth || '') < monthKey), { fromMonth: monthKey, amount }];
+  return { ...item, amount: amounts[amounts.length-1].amount, amounts };
+}
+
+// { 'YYYY-MM': { category: spent } } in the display currency
+function expenseIndex(transactions, fx){
+  const idx = {};
+  expandSplits(transactions.filter(t=> t.type==='expense')).forEach(t=>{
+    const m = monthKeyOf(t.date);
+    idx[m] = idx[m] || {};
+    idx[m][t.category] = (idx[m][t.category]||0) + fx.tx(t);
+  });
+  return idx;
+}
+
+// status of one budget for the month `monthKey`; null when the budget doesn't apply to that month
+function budgetStatus(item, plan, transactions, fx, monthKey, index){
+  const finish = (budgeted, carried, spent, start, end) => {
+    const available = budgeted + carried;
+    return { budgeted, carried, spent, available, remaining: available - spent, pct: available > 0 ? spent / available : (spent > 0 ? 1 : 0), start, end };
+  };
+  if(item.period === 'custom'){
+    const { start, end } = monthRange(monthKey);
+    if(item.end < start || item.start > end) return null;
+    const spent = expandSplits(transactions).filter(t=> t.type==='expense' && t.category===item.category && t.date>=item.start && t.date<=item.end).reduce((a,t)=> a+fx.tx(t), 0);
+    return finish(fx.convert(item.amount, plan.currency, item.start), 0, spent, item.start, item.end);
+  }
+  const first = item.startMonth || monthKey;
+  if(monthKey < first) return null;
+  let carried = 0;
+  if(item.rollover){
+    // unspent (or overspent) amounts of every earlier month carry forward
+    for(let k = first; k < monthKey; k = shiftMonth(k, 1)){
+      carried += fx.convert(budgetAmountFor(item, k), plan.currency, `${k}-01`) - ((index[k] || {})[item.category] || 0);
+    }
+  }
+  const { start, end } = monthRange(monthKey);
+  return finish(fx.convert(budgetAmountFor(item, monthKey), plan.currency, start), carried, (index[monthKey] || {})[item.category] || 0, start, end);
+}
+
+// envelope view: income received in the month vs. money assigned to budgets
+function envelopeSummary(plan, transactions, fx, monthKey, index){
+  const { start, end } = monthRange(monthKey);
+  const income = transactions.filter(t=> t.type==='income' && t.date>=start && t.date<=end).reduce((a,t)=> a+fx.tx(t), 0);
+  const envelopes = plan.items.map(item=> ({ item, status: budgetStatus(item, plan, transactions, fx, monthKey, index) })).filter(e=> e.status);
+  // a custom-period budget is assigned from the month its period starts in
+  const assigned = envelopes.filter(e=> e.item.period !== 'custom' || monthKeyOf(e.item.start) === monthKey).reduce((a,e)=> a+e.status.budgeted, 0);
+  return { income, assigned, unassigned: income - assigned, envelopes };
+}
+
+// budget vs. actual per month for the `months` months ending at `monthKey`
+function budgetHistory(plan, transactions, fx, monthKey, index, months = 6){
+  const rows = [];
+  for(let i = months-1; i >= 0; i--){
+    const key = shiftMonth(monthKey, -i);
+    const { envelopes } = envelopeSummary(plan, transactions, fx, key, index);
+    const monthly = envelopes.filter(e=> e.item.period !== 'custom');
+    const budgeted = monthly.reduce((a,e)=> a+e.status.budgeted, 0);
+    const actual = monthly.reduce((a,e)=> a+e.status.spent, 0);
+    rows.push({ month: key, budgeted, actual, variance: budgeted - actual });
+  }
+  return rows;
+}
+
+// ---------- Accounts, transfers & split transactions ----------
+// `accounts/{id}`: { name, kind, currency, openingBalance (negative = owed, e.g. cards & loans), openingDate,
+// reconciliations:[{ date, balance, at }], reconciledThrough }. Transactions may carry `accountId`; transfers are
+// type 'transfer' from `accountId` to `toAccountId` (`toAmount` = amount received, when the currencies differ) and
+// never count as income or expense. A split transaction has `splits:[{ id, category, amount }]` summing to `amount`;
+// category reports and budgets work on its parts. Reconciled transactions are locked; `reconciled` is
+// { [accountId]: statement date } because a transfer is cleared separately on each of its two accounts.
+const ACCOUNT_KINDS = [['bank','Bank'], ['card','Credit card'], ['cash','Cash'], ['loan','Loan'], ['wallet','Wallet']];
+const SPLIT_CATEGORY = 'Split';
+// fields that can't change once a transaction is reconciled (or be moved into a reconciled period)
+const LOCKED_FIELDS = ['type', 'amount', 'currency', 'date', 'accountId', 'toAccountId', 'toAmount', 'deleted'];
+
+// +1 income, -1 expense, 0 transfer
+const txnSign = t => t.type === 'income' ? 1 : t.type === 'expense' ? -1 : 0;
+
+// one part per split (in the transaction's currency), or the transaction itself
+function splitParts(t){
+  if(!Array.isArray(t.splits) || !t.splits.length) return [t];
+  return t.splits.map(p=> ({ ...t, category: p.category || UNCATEGORIZED, amount: Number(p.amount) || 0, splitId: p.id, splits: null }));
+}
+const expandSplits = list => list.flatMap(splitParts);
+const splitRemainder = (amount, splits) => (Number(amount) || 0) - (splits || []).reduce((a,p)=> a + (Number(p.amount) || 0), 0);
+
+// effect of a transaction on an account's balance, in the account currency; convert(value, from, date)
+function accountDelta(t, account, convert){
+  const inAccount = v => convert(Number(v) || 0, t.currency || account.currency, t.date);
+  if(t.type === 'transfer'){
+    if(t.toAccountId === account.id) return t.toAmount !== undefined && t.toAmount !== null && t.toAmount !== '' ? Number(t.toAmount) : inAccount(t.amount);
+    return t.accountId === account.id ? -inAccount(t.amount) : 0;
+  }
+  return t.accountId === account.id ? txnSign(t) * inAccount(t.amount) : 0;
+}
+
+// { [accountId]: statement date } of a transaction (a schema-3 date string stands for both of its accounts)
+function reconciledMap(t){
+  if(!t.reconciled) return {};
+  if(typeof t.reconciled === 'string') return Object.fromEntries([t.accountId, t.toAccountId].filter(Boolean).map(id=> [id, t.reconciled]));
+  return Object.fromEntries(Object.entries(t.reconciled).filter(([, date])=> date));
+}
+const reconciledIn = (t, accountId) => reconciledMap(t)[accountId] || null;
+const isReconciled = t => Object.keys(reconciledMap(t)).length > 0;
+
+// the account's transactions oldest first with running balances; `cleared` only counts ones reconciled on this account
+function accountLedger(account, transactions, convert){
+  let balance = Number(account.openingBalance) || 0;
+  let cleared = balance;
+  const rows = transactions.filter(t=> t.accountId === account.id || t.toAccountId === account.id)
+    .sort((a,b)=> a.date.localeCompare(b.date) || String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
+    .map(t=>{
+      const delta = accountDelta(t, account, convert);
+      balance += delta;
+      if(reconciledIn(t, account.id)) cleared += delta;
+      return { tx: t, delta, balance };
+    });
+  return { rows, balance, cleared };
+}
+
+// opening balances (display currency) of the accounts opened on or before `date`
+function openingTotal(accounts, fx, date = todayISO()){
+  return accounts.filter(a=> !a.deleted && (a.openingDate || '') <= date).reduce((s,a)=> s + fx.convert(Number(a.openingBalance) || 0, a.currency, a.openingDate), 0);
+}
+
+// why a change (or a new transaction) isn't allowed, or null: reconciled rows and reconciled periods are locked
+function lockReason(before, updates, accounts){
+  if(before && isReconciled(before) && LOCKED_FIELDS.some(k=> k in updates && updates[k] !== before[k])) return `the ${before.date} transaction is reconciled`;
+  const after = { ...(before || {}), ...updates };
+  const locked = accounts.find(a=> a.reconciledThrough && (a.id === after.accountId || a.id === after.toAccountId) && after.date <= a.reconciledThrough);
+  const moving = !before || ['date', 'accountId', 'toAccountId'].some(k=> k in updates && updates[k] !== before[k]);
+  return locked && moving ? `${locked.name} is reconciled through ${locked.reconciledThrough}` : null;
+}
+
+// ---------- Cash-flow forecast ----------
+// Projects the running balance day by day: known recurring occurrences land on their dates, everything else
+// ("discretionary" income & spend) is spread evenly over each month at its per-category monthly average over the last
+// FORECAST_LOOKBACK_MONTHS complete months. With a year or more of history the average is replaced by that
+// month-of-year's average (seasonality: yearly premiums, festivals), and spending is scaled to the recent 3-month
+// level (trend). The band is FORECAST_Z x the historical monthly spread, widening with the square root of time.
+const FORECAST_LOOKBACK_MONTHS = 24;
+const FORECAST_Z = 1.28; // ~80% band
+
+function cashFlowForecast({ transactions, accounts = [], rules, fx, months = 6, today = todayISO() }){
+  const current = monthKeyOf(today);
+  const firstMonth = shiftMonth(current, -FORECAST_LOOKBACK_MONTHS);
+  const startBalance = openingTotal(accounts, fx, today) + transactions.filter(t=> t.date <= today).reduce((a,t)=> a + txnSign(t) * fx.tx(t), 0);
+
+  // per-category monthly history of non-recurring income & spend (split parts separately) in complete months
+  const history = expandSplits(transactions.filter(t=> t.type !== 'transfer' && !t.recurringId && !t.recurring && monthKeyOf(t.date) >= firstMonth && monthKeyOf(t.date) < current));
+  const observed = [...new Set(history.map(t=> monthKeyOf(t.date)))].sort();
+  const covered = observed.length ? [...Array(FORECAST_LOOKBACK_MONTHS)].map((_,i)=> shiftMonth(current, i - FORECAST_LOOKBACK_MONTHS)).filter(k=> k >= observed[0]) : [];
+  const byCat = {}; // `${type}:${category}` -> { month: amount }
+  history.forEach(t=>{ const key = `${t.type}:${t.category}`; const m = monthKeyOf(t.date); byCat[key] = byCat[key] || {}; byCat[key][m] = (byCat[key][m] || 0) + fx.tx(t); });
+  const seasonal = covered.length >= 12;
+  const recent = covered.slice(-3);
+  const spendIn = m => Object.entries(byCat).reduce((a,[k, v])=> a + (k.startsWith('expense:') ? v[m] || 0 : 0), 0);
+  const avgSpend = list => list.reduce((a,m)=> a + spendIn(m), 0) / Math.max(1, list.length);
+  // recent spend vs what those same months usually cost
+  const baseline = recent.reduce((a,m)=> a + avgSpend(seasonal ? covered.filter(k=> k.slice(5) === m.slice(5)) : covered), 0);
+  const trend = covered.length >= 6 && baseline > 0 ? Math.min(1.25, Math.max(0.75, recent.reduce((a,m)=> a + spendIn(m), 0) / baseline)) : 1;
+
+  // expected discretionary net for a calendar month
+  const expected = {};
+  function expectedNet(monthKey){
+    if(expected[monthKey] !== undefined) return expected[monthKey];
+    const moy = monthKey.slice(5);
+    return expected[monthKey] = Object.entries(byCat).reduce((a,[key, perMonth])=>{
+      const pool = seasonal ? covered.filter(m=> m.slice(5) === moy) : covered;
+      const avg = pool.reduce((b,m)=> b + (perMonth[m] || 0), 0) / Math.max(1, pool.length);
+      return a + (key.startsWith('income:') ? avg : -avg * trend);
+    }, 0);
+  }
+  const nets = covered.map(m=> Object.entries(byCat).reduce((a,[key, v])=> a + (key.startsWith('income:') ? 1 : -1) * (v[m] || 0), 0));
+  const meanNet = nets.reduce((a,b)=> a+b, 0) / Math.max(1, nets.length);
+  const sigma = nets.length > 1 ? Math.sqrt(nets.reduce((a,n)=> a + (n-meanNet)**2, 0) / (nets.length - 1)) : 0;
+
+  const end = nthOccurrence({ interval: 'monthly', every: months, monthDay: 'same', start: today }, 1);
+  const scheduled = {};
+  upcomingOccurrences(rules.filter(r=> !r.deleted), addDaysISO(today, 1), end).forEach(({ tx, skipped })=>{
+    if(skipped) return;
+    scheduled[tx.date] = (scheduled[tx.date] || 0) + txnSign(tx) * fx.convert(Number(tx.amount) || 0, tx.currency, tx.date);
+  });
+
+  const days = [];
+  let balance = startBalance;
+  for(let date = addDaysISO(today, 1), i = 1; date <= end; date = addDaysISO(date, 1), i++){
+    const [y, m] = date.split('-').map(Number);
+    const recurring = scheduled[date] || 0;
+    const discretionary = expectedNet(monthKeyOf(date)) / daysInMonth(y, m-1);
+    balance += recurring + discretionary;
+    const spread = FORECAST_Z * sigma * Math.sqrt(i / AVG_MONTH_DAYS);
+    days.push({ date, balance, low: balance - spread, high: balance + spread, recurring, discretionary });
+  }
+  const firstNegative = (days.find(d=> d.balance < 0) || {}).date || null;
+  const firstNegativeLow = (days.find(d=> d.low < 0) || {}).date || null;
+  return { today, end, startBalance, days, firstNegative, firstNegativeLow, seasonal, trend, endBalance: days.length ? days[days.length-1].balance : startBalance };
+}
+
+// ---------- Reports (shared by charts & exports) ----------
+// Every report chart, the report table and the PDF/CSV report exports are built from these functions, so the
+// numbers always match. A range is { from, to } ('YYYY-MM-DD', either may be empty for open-ended).
+// Year presets follow the financial year starting in prefs.fyStartMonth (4 = April–March, 1 = calendar year).
+const REPORT_PRESETS = [['this-month','This month'], ['last-month','Last month'], ['3m','Last 3 months'], ['ytd','Financial year to date'], ['last-fy','Last financial year'], ['12m','Last 12 months'], ['all','All time']];
+
+// the financial year containing `date`: { start, end, label } ('FY 2026-27', or '2026' for a calendar year)
+function financialYear(date = todayISO(), startMonth = 1){
+  const [y, m] = date.split('-').map(Number);
+  const first = m >= startMonth ? y : y - 1;
+  const mm = String(startMonth).padStart(2, '0');
+  return { start: `${first}-${mm}-01`, end: addDaysISO(`${first + 1}-${mm}-01`, -1), label: startMonth === 1 ? String(first) : `FY ${first}-${String(first + 1).slice(2)}` };
+}
+
+function reportRange(preset, today = todayISO(), fyStartMonth = 1){
+  const month = monthKeyOf(today);
+  switch(preset){
+    case 'this-month': return { from: `${month}-01`, to: today };
+    case 'last-month': { const r = monthRange(shiftMonth(month, -1)); return { from: r.start, to: r.end }; }
+    case '3m': return { from: `${shiftMonth(month, -2)}-01`, to: today };
+    case 'ytd': return { from: financialYear(today, fyStartMonth).start, to: today };
+    case 'last-fy': { const fy = financialYear(addDaysISO(financialYear(today, fyStartMonth).start, -1), fyStartMonth); return { from: fy.start, to: fy.end }; }
+    case '12m': return { from: `${shiftMonth(month, -11)}-01`, to: today };
+    default: return { from: '', to: '' };
+  }
+}
+
+const round2 = n => Math.round(n*100)/100;
+const toCSV = rows => rows.map(r=> r.map(v=> `"${String(v ?? '').replace(/"/g,'""')}"`).join(',')).join('\n');
+
+function downloadFile(name, content, type){
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a'); a.href = url; a.download = name; a.click(); URL.revokeObjectURL(url);
+}
+
+const inRange = (date, range) => (!range.from || date >= range.from) && (!range.to || date <= range.to);
+
+// closed month keys covering the range (open ends fall back to the data / today)
+function rangeMonths(range, transactions, today = todayISO()){
+  const dates = transactions.map(t=> t.date).filter(Boolean).sort();
+  const first = monthKeyOf(range.from || dates[0] || today);
+  const last = monthKeyOf(range.to || today);
+  const out = [];
+  for(let m = first; m <= last && out.length < 600; m = shiftMonth(m, 1)) out.push(m);
+  return out;
+}
+
+// the part of a calendar month inside the range
+function monthSlice(month, range){
+  const { start, end } = monthRange(month);
+  return { from: range.from && range.from > start ? range.from : start, to: range.to && range.to < end ? range.to : end };
+}
+
+function periodTotals(transactions, fx, range){
+  return transactions.filter(t=> txnSign(t) && inRange(t.date, range)).reduce((a,t)=>{
+    a[t.type === 'income' ? 'income' : 'expense'] += fx.tx(t);
+    a.net = a.income - a.expense;
+    return a;
+  }, { income: 0, expense: 0, net: 0 });
+}
+
+// [{ category, amount, count, share }] largest first
+function categoryBreakdown(transactions, fx, range, type = 'expense'){
+  const by = {};
+  expandSplits(transactions.filter(t=> t.type === type && inRange(t.date, range))).forEach(t=>{
+    const c = by[t.category || UNCATEGORIZED] = by[t.category || UNCATEGORIZED] || { category: t.category || UNCATEGORIZED, amount: 0, count: 0 };
+    c.amount += fx.tx(t); c.count++;
+  });
+  const total = Object.values(by).reduce((a,c)=> a + c.amount, 0);
+  return Object.values(by).map(c=> ({ ...c, share: total ? c.amount / total : 0 })).sort((a,b)=> b.amount - a.amount);
+}
+
+// [{ month, income, expense, net }] for every month in the range, empty months included
+function monthlyTotals(transactions, fx, range){
+  return rangeMonths(range, transactions).map(month=> ({ month, ...periodTotals(transactions, fx, monthSlice(month, range)) }));
+}
+
+// month-end net worth: account opening balances + cumulative income/expense to date (transfers just move cash
+// between accounts) + investments at the last close on or before then
+function netWorthSeries(transactions, entries, prices, fx, range, method = 'fifo', accounts = []){
+  return rangeMonths(range, transactions).map(month=>{
+    const date = monthSlice(month, range).to;
+    const cash = openingTotal(accounts, fx, date) + transactions.filter(t=> t.date <= date).reduce((a,t)=> a + txnSign(t) * fx.tx(t), 0);
+    const investments = buildHoldings(entries.filter(e=> normalizeLedgerEntry(e).date <= date), method).reduce((a,h)=>{
+      const last = priceOn(prices, h.symbol, date);
+      return a + fx.convert(last ? h.quantity * last.close : h.costBasis, h.currency, date);
+    }, 0);
+    return { month, date, cash, investments, netWorth: cash + investments };
+  });
+}
+
+// per-category totals for the last `count` months of the range, with the change between the last two
+function monthOverMonth(transactions, fx, range, type = 'expense', count = 6){
+  const months = rangeMonths(range, transactions).slice(-count);
+  const cols = months.map(month=> ({ month, cats: Object.fromEntries(categoryBreakdown(transactions, fx, monthSlice(month, range), type).map(c=> [c.category, c.amount])) }));
+  const categories = [...new Set(cols.flatMap(c=> Object.keys(c.cats)))];
+  const rows = categories.map(category=>{
+    const values = cols.map(c=> c.cats[category] || 0);
+    const [prev, last] = values.slice(-2);
+    const change = values.length > 1 ? last - prev : 0;
+    return { category, values, change, pct: values.length > 1 && prev ? change / prev : null };
+  }).sort((a,b)=> (b.values[b.values.length-1] || 0) - (a.values[a.values.length-1] || 0));
+  return { months, rows };
+}
+
+// ---------- Tax summary (sections, financial year, capital gains) ----------
+// Transactions and investment buys carry an optional `taxSection` (a TAX_SECTIONS id). For a financial year the summary
+// totals the tagged amounts per section against its cap (Indian limits in INR, converted to the display currency and
+// overridable in prefs.tax.caps) and splits gains realized in the investment ledger into short- and long-term by how long
+// each sold lot was held (more than prefs.tax.ltcgMonths, 12 for listed equity, is long-term). Transactions tagged
+// STCG/LTCG add gains realized outside the ledger (income = gain, expense = loss).
+// HRA and 80G are `paidOnly`: what they allow is a formula (HRA on salary, rent and city; 80G at 50% or 100% by donee,
+// some within a qualifying limit), so they show the amount paid and stay out of the `deductions` total.
+const TAX_CURRENCY = 'INR';
+const TAX_SECTIONS = [
+  { id: '80C', label: '80C — PPF, ELSS, EPF, life insurance, tuition, home-loan principal', cap: 150000 },
+  { id: '80CCD1B', label: '80CCD(1B) — NPS (additional)', cap: 50000 },
+  { id: '80D', label: '80D — health insurance', cap: 25000 },
+  { id: '80E', label: '80E — education-loan interest', cap: null },
+  { id: '80G', label: '80G — donations', cap: null, paidOnly: true },
+  { id: '80TTA', label: '80TTA — savings-account interest', cap: 10000 },
+  { id: '24B', label: '24(b) — home-loan interest', cap: 200000 },
+  { id: 'HRA', label: 'HRA — rent paid', cap: null, paidOnly: true },
+  { id: 'STCG', label: 'Short-term capital gains', cap: null, gains: true },
+  { id: 'LTCG', label: 'Long-term capital gains (exempt up to the cap)', cap: 125000, gains: true },
+];
+const DEFAULT_TAX_SETTINGS = { ltcgMonths: 12, caps: {} }; // caps: { [sectionId]: amount in INR | null (default) }
+const FY_START_MONTHS = [[1, 'January–December'], [4, 'April–March'], [7, 'July–June'], [10, 'October–September']];
+
+const PAID_ONLY_SECTIONS = TAX_SECTIONS.filter(s=> s.paidOnly).map(s=> s.id).join(', ');
+
+const taxSectionById = id => TAX_SECTIONS.find(s=> s.id === id) || null;
+
+// `date` moved forward by whole months (clamped to month end)
+function addMonthsISO(date, months){
+  const key = shiftMonth(monthKeyOf(date), months);
+  const [y, m] = key.split('-').map(Number);
+  return `${key}-${String(Math.min(Number(date.slice(8, 10)), daysInMonth(y, m - 1))).padStart(2, '0')}`;
+}
+
+function taxSummary({ transactions, investments = [], fx, fy, settings = {}, method = 'fifo' }){
+  const s = { ...DEFAULT_TAX_SETTINGS, ...settings, caps: { ...(settings.caps || {}) } };
+  const range = { from: fy.start, to: fy.end };
+  const entries = [
+    ...transactions.filter(t=> t.taxSection && t.type !== 'transfer' && inRange(t.date, range)).map(t=> ({
+      section: t.taxSection, date: t.date, source: 'transaction', id: t.id, description: t.note || t.category || '',
+      amount: (taxSectionById(t.taxSection) || {}).gains ? txnSign(t) * fx.tx(t) : fx.tx(t),
+    })),
+    ...investments.map(normalizeLedgerEntry).filter(e=> e.taxSection && e.kind === 'buy' && inRange(e.date, range)).map(e=> ({
+      section: e.taxSection, date: e.date, source: 'investment', id: e.id, description: `${e.symbol} ×${e.quantity}`,
+      amount: fx.convert((Number(e.quantity) || 0) * (Number(e.price) || 0) + (Number(e.fees) || 0), e.currency, e.date),
+    })),
+  ].sort((a, b)=> a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+  const capOf = section => {
+    if(section.paidOnly) return null;
+    const own = s.caps[section.id];
+    const cap = own !== undefined && own !== null && own !== '' ? Number(own) : section.cap;
+    return cap === null || !Number.isFinite(cap) ? null : fx.convert(cap, TAX_CURRENCY, fy.end);
+  };
+  const sections = TAX_SECTIONS.filter(x=> !x.gains).map(x=>{
+    const items = entries.filter(e=> e.section === x.id);
+    const total = items.reduce((a, e)=> a + e.amount, 0);
+    const cap = capOf(x);
+    return { ...x, cap, total, allowed: x.paidOnly ? null : cap === null ? total : Math.min(total, cap), remaining: cap === null ? null : Math.max(0, cap - total), items };
+  });
+
+  // every sold lot on its own line: cost converted on the day it was bought, proceeds on the day of sale
+  const rows = buildHoldings(investments, method).flatMap(h=> h.sales.filter(sale=> inRange(sale.date, range)).flatMap(sale=> sale.acquired.map(lot=>{
+    const proceeds = fx.convert(sale.quantity ? sale.proceeds * lot.quantity / sale.quantity : 0, h.currency, sale.date);
+    const cost = fx.convert(lot.cost, h.currency, lot.date);
+    return { term: sale.date > addMonthsISO(lot.date, s.ltcgMonths) ? 'long' : 'short', symbol: h.symbol, acquired: lot.date, sold: sale.date, quantity: lot.quantity, cost, proceeds, gain: proceeds - cost };
+  })));
+  entries.filter(e=> (taxSectionById(e.section) || {}).gains).forEach(e=> rows.push({ term: e.section === 'LTCG' ? 'long' : 'short', symbol: e.description, acquired: '', sold: e.date, quantity: null, cost: null, proceeds: null, gain: e.amount }));
+  const short = rows.filter(r=> r.term === 'short').reduce((a, r)=> a + r.gain, 0);
+  const long = rows.filter(r=> r.term === 'long').reduce((a, r)=> a + r.gain, 0);
+  const exemptCap = capOf(taxSectionById('LTCG'));
+  const exemption = exemptCap === null ? 0 : Math.min(Math.max(0, long), exemptCap);
+  return {
+    fy, sections, entries,
+    deductions: sections.reduce((a, x)=> a + (x.allowed || 0), 0),
+    paid: sections.filter(x=> x.paidOnly).reduce((a, x)=> a + x.total, 0),
+    gains: { rows: rows.sort((a, b)=> a.sold < b.sold ? -1 : a.sold > b.sold ? 1 : 0), short, long, exemption, taxableLong: long - exemption },
+  };
+}
+
+// ---------- Notifications (budget thresholds, bill & goal reminders, quiet hours) ----------
+// Each alert has a key naming what it is about and for which period, so it is raised once:
+//   budget:{itemId}:{periodStart}:{threshold}   bill:{ruleId}:{occurrence}   goal:{goalId}:{deadline}
+// Settings live in prefs.notifications; a budget item may override the thresholds with alertThresholds.
+const DEFAULT_NOTIFICATION_SETTINGS = { thresholds: [80, 100], billDays: 3, goalDays: 14, quietStart: '', quietEnd: '' };
+const NOTIFICATION_LOG_KEY = 'pfd:notifications'; // + ':' + ledger scope, kept per device
+const NOTIFICATION_LOG_LIMIT = 200;
+const NOTIFY_INTERVAL_MS = 1000*60; // re-check (and release alerts held by quiet hours) every minute
+
+// "50, 80 100" -> [50, 80, 100]
+function parseThresholds(text){
+  return [...new Set(String(text || '').split(/[\s,;]+/).map(Number).filter(n=> n > 0 && n <= 1000))].sort((a, b)=> a - b);
+}
+
+// quiet hours are 'HH:MM' local times and may wrap past midnight (22:00 -> 07:00)
+function inQuietHours(settings, now = new Date()){
+  const { quietStart: from, quietEnd: to } = settings;
+  if(!from || !to || from === to) return false;
+  const t = `${String(now.getHours()).padStart(2,'0')}:${String(now.getMinutes()).padStart(2,'0')}`;
+  return from < to ? t >= from && t < to : t >= from || t < to;
+}
+
+// alerts that are due and not yet raised (`sent`: Set of keys already raised)
+function dueNotifications({ plan, transactions, rules, goals, fx, settings, sent, today = todayISO() }){
+  const out = [];
+  const sentKeys = [...sent];
+  const { envelopes } = envelopeSummary(plan, transactions, fx, monthKeyOf(today), expenseIndex(transactions, fx));
+  envelopes.forEach(({ item, status })=>{
+    const thresholds = item.alertThresholds && item.alertThresholds.length ? item.alertThresholds : settings.thresholds;
+    const crossed = status.spent > 0 ? thresholds.filter(t=> status.pct * 100 >= t) : [];
+    if(!crossed.length) return;
+    // only the highest threshold reached, and never one at or below a threshold already raised this period
+    const top = Math.max(...crossed);
+    const prefix = `budget:${item.id}:${status.start}:`;
+    if(sentKeys.some(k=> k.startsWith(prefix) && Number(k.slice(prefix.length)) >= top)) return;
+    out.push({ key: prefix + top, kind: 'budget', title: top >= 100 ? 'Budget exceeded' : 'Budget alert',
+      body: `${item.category}: ${Math.round(status.pct*100)}% of ${fx.format(status.available)} spent (${status.start} → ${status.end})` });
+  });
+  upcomingOccurrences(rules, today, addDaysISO(today, settings.billDays)).filter(o=> !o.skipped && o.tx.type === 'expense').forEach(({ rule, occurrence, tx })=>{
+    const key = `bill:${rule.id}:${occurrence}`;
+    if(sent.has(key)) return;
+    out.push({ key, kind: 'bill', title: 'Upcoming bill',
+      body: `${tx.note || tx.category || 'Bill'}: ${formatAmount(tx.amount, tx.currency || fx.currency)} due ${tx.date === today ? 'today' : tx.date}` });
+  });
+  goals.filter(g=> g.deadline && g.deadline >= today && g.deadline <= addDaysISO(today, settings.goalDays)).forEach(goal=>{
+    const key = `goal:${goal.id}:${goal.deadline}`;
+    if(sent.has(key)) return;
+    const progress = goalProgress(goal, transactions, fx, today);
+    if(progress.status === 'done') return;
+    out.push({ key, kind: 'goal', title: 'Goal deadline approaching', body: `${goal.name}: ${fx.format(progress.remaining)} still to save by ${goal.deadline}` });
+  });
+  return out;
+}
+
+// ---------- Insights engine (registered rules; subscription, anomaly, pace & duplicate detectors) ----------
+// A rule is a module { id, title, severity, run(ctx) } added with registerInsightRule. run returns items
+// { key, text, severity? } (the item's severity overrides the rule's); the engine ids them `${rule.id}:${key}` and a
+// dismissal stores that id, so keys name the facts (month, new price, transaction ids) and a changed fact comes back.
+// ctx = { transactions (not deleted), fx, today, goals?, forecast?, fyStartMonth?, investments?, lotMethod?, tax? (prefs.tax) }.
+// The detectors are pure functions of the transactions and can be run on their own.
+const INSIGHT_SEVERITIES = [['alert','Alert'], ['warning','Warning'], ['info','Info']]; // most severe first
+const INSIGHT_DISMISS_LIMIT = 300;
+const INSIGHT_WINDOW_DAYS = 30;
+const SUBSCRIPTION_CADENCES = [['weekly', 7], ['monthly', AVG_MONTH_DAYS], ['quarterly', AVG_MONTH_DAYS*3], ['yearly', 365.25]];
+const SUBSCRIPTION_MIN_CHARGES = 3;
+const SUBSCRIPTION_GAP_TOLERANCE = 0.2; // a gap within ±20% of the cadence (card retries, weekends, short months)
+const ANOMALY_Z = 3;
+const ANOMALY_MIN_SAMPLES = 6;
+const ANOMALY_LOOKBACK_DAYS = 180;
+const PACE_WARNING = 0.2; // 20% ahead of last month
+const DUPLICATE_CHARGE_DAYS = 2;
+const TAX_REMINDER_DAYS = 90; // before the financial year ends
+
+const daysBetweenISO = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+const byDate = (a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+function median(values){
+  const s = [...values].sort((a, b)=> a - b); const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m-1] + s[m]) / 2;
+}
+// the merchant of a charge without reference numbers: "NETFLIX.COM 8812" and "Netflix.com 9034" are one payee
+const payeeKey = t => normalizePayee(t.note).split(' ').filter(w=> !/\d/.test(w)).join(' ');
+const sameAmount = (a, b) => Math.abs(a - b) <= Math.max(0.005, Math.abs(b) * 0.01);
+
+const INSIGHT_RULES = [];
+function registerInsightRule(rule){
+  const i = INSIGHT_RULES.findIndex(r=> r.id === rule.id);
+  if(i >= 0) INSIGHT_RULES[i] = rule; else INSIGHT_RULES.push(rule);
+  return rule;
+}
+
+// every rule's items, most severe first; dismissed ones are kept with dismissed: true
+function runInsights(ctx, { rules = INSIGHT_RULES, dismissed = [] } = {}){
+  const hidden = new Set(dismissed);
+  const rank = s => { const i = INSIGHT_SEVERITIES.findIndex(([k])=> k === s); return i < 0 ? INSIGHT_SEVERITIES.length : i; };
+  const items = rules.flatMap(rule=>{
+    let found = [];
+    try{ found = rule.run(ctx) || []; }catch(e){ console.warn(`Insight rule "${rule.id}" failed`, e); }
+    return found.map(item=>{
+      const id = `${rule.id}:${item.key}`;
+      return { id, rule: rule.id, title: rule.title, severity: item.severity || rule.severity, text: item.text, dismissed: hidden.has(id) };
+    });
+  });
+  return items.map((item, i)=> [item, i]).sort((a, b)=> rank(a[0].severity) - rank(b[0].severity) || a[1] - b[1]).map(([item])=> item);
+}
+
+// charges repeating from the same payee at a regular cadence (one-off purchases there don't count), newest first.
+// Amounts are compared in the charge currency, so exchange-rate moves are not price changes; increase is set when the
+// latest price is above the one before it.
+function detectSubscriptions(transactions, { fx, today = todayISO() } = {}){
+  const groups = {};
+  transactions.filter(t=> t.type === 'expense' && !t.recurringId && !t.recurring && t.date <= today).forEach(t=>{
+    const payee = payeeKey(t);
+    const key = `${payee}|${t.currency || fx.currency}`;
+    if(payee) (groups[key] = groups[key] || []).push(t);
+  });
+  const out = [];
+  Object.entries(groups).forEach(([key, list])=>{
+    // one charge per day (same-day repeats are duplicate charges, not the cadence)
+    const charges = [...list].sort(byDate).filter((t, i, s)=> !i || s[i-1].date !== t.date);
+    if(charges.length < SUBSCRIPTION_MIN_CHARGES) return;
+    const gaps = charges.slice(1).map((t, i)=> daysBetweenISO(charges[i].date, t.date));
+    const typical = median(gaps);
+    const cadence = SUBSCRIPTION_CADENCES.find(([, days])=> Math.abs(typical - days) <= days * SUBSCRIPTION_GAP_TOLERANCE);
+    if(!cadence) return;
+    const [name, days] = cadence;
+    // every gap on the cadence, or a whole number of periods (a skipped month)
+    if(!gaps.every(g=> { const n = Math.max(1, Math.round(g / days)); return Math.abs(g - n * days) <= days * SUBSCRIPTION_GAP_TOLERANCE; })) return;
+    const amounts = charges.map(t=> Number(t.amount) || 0);
+    const changes = amounts.slice(1).map((a, i)=> sameAmount(a, amounts[i]) ? -1 : i + 1).filter(i=> i > 0);
+    // a subscription keeps its price most of the time
+    if(changes.length > Math.max(1, Math.floor(charges.length / 3))) return;
+    const last = charges[charges.length - 1];
+    if(daysBetweenISO(last.date, today) > days * 1.5 + 3) return; // cancelled or lapsed
+    const since = changes.length ? changes[changes.length - 1] : 0;
+    const amount = amounts[amounts.length - 1];
+    const previous = since ? amounts[since - 1] : null;
+    out.push({
+      payee: key.split('|')[0], name: String(last.note).split(/\s+/).filter(w=> !/\d/.test(w)).join(' ') || key.split('|')[0], category: last.category, currency: key.split('|')[1],
+      cadence: name, days, count: charges.length, first: charges[0].date, last: last.date, next: addDaysISO(last.date, Math.round(days)),
+      amount, monthly: amount * AVG_MONTH_DAYS / days, previous,
+      increase: previous !== null && amount > previous ? { from: previous, to: amount, since: charges[since].date, pct: (amount - previous) / previous } : null,
+    });
+  });
+  return out.sort((a, b)=> a.last < b.last ? 1 : a.last > b.last ? -1 : 0);
+}
+
+// recent expenses far above their category's usual size: z = (amount - mean) / spread over the lookback before the
+// window (split parts count in their own category). The spread has a floor of 10% of the mean so a category of
+// identical charges doesn't flag every small difference.
+function detectAnomalies(transactions, { fx, today = todayISO(), z = ANOMALY_Z, windowDays = INSIGHT_WINDOW_DAYS, lookbackDays = ANOMALY_LOOKBACK_DAYS } = {}){
+  const windowStart = addDaysISO(today, -windowDays);
+  const historyStart = addDaysISO(windowStart, -lookbackDays);
+  const parts = expandSplits(transactions.filter(t=> t.type === 'expense' && t.date > historyStart && t.date <= today)).map(t=> ({ t, value: fx.tx(t) }));
+  const byCat = {};
+  parts.forEach(p=> (byCat[p.t.category] = byCat[p.t.category] || []).push(p));
+  const out = [];
+  Object.entries(byCat).forEach(([category, list])=>{
+    const history = list.filter(p=> p.t.date <= windowStart).map(p=> p.value);
+    if(history.length < ANOMALY_MIN_SAMPLES) return;
+    const mean = history.reduce((a, b)=> a + b, 0) / history.length;
+    const sd = Math.sqrt(history.reduce((a, v)=> a + (v - mean) ** 2, 0) / (history.length - 1));
+    const spread = Math.max(sd, mean * 0.1);
+    list.filter(p=> p.t.date > windowStart).forEach(({ t, value })=>{
+      const score = (value - mean) / spread;
+      if(score >= z) out.push({ tx: t, category, amount: value, mean, sd, z: score });
+    });
+  });
+  return out.sort((a, b)=> b.z - a.z);
+}
+
+// spending this month up to today vs last month up to the same day (clamped to last month's length)
+function spendingPace(transactions, { fx, today = todayISO() } = {}){
+  const month = monthKeyOf(today);
+  const prev = shiftMonth(month, -1);
+  const day = Number(today.slice(8, 10));
+  const [py, pm] = prev.split('-').map(Number);
+  const prevDay = `${prev}-${String(Math.min(day, daysInMonth(py, pm - 1))).padStart(2, '0')}`;
+  const spent = (from, to) => transactions.filter(t=> t.type === 'expense' && t.date >= from && t.date <= to).reduce((a, t)=> a + fx.tx(t), 0);
+  const current = spent(`${month}-01`, today);
+  const previous = spent(`${prev}-01`, prevDay);
+  const [y, m] = month.split('-').map(Number);
+  return {
+    month, day, current, previous, lastMonthTotal: spent(`${prev}-01`, monthRange(prev).end),
+    change: previous > 0 ? (current - previous) / previous : null,
+    projected: current / day * daysInMonth(y, m - 1),
+  };
+}
+
+// the same charge (payee, account, amount & currency) posted more than once within a few days, in the recent window
+function detectDuplicateCharges(transactions, { fx, today = todayISO(), days = DUPLICATE_CHARGE_DAYS, windowDays = INSIGHT_WINDOW_DAYS * 2 } = {}){
+  const from = addDaysISO(today, -windowDays);
+  const clusters = [];
+  transactions.filter(t=> t.type === 'expense' && t.date > from && t.date <= today).sort(byDate).forEach(t=>{
+    const payee = payeeKey(t);
+    const cluster = clusters.find(c=>{
+      const last = c[c.length - 1];
+      return payeeKey(last) === payee && (payee || last.category === t.category) && (last.accountId || '') === (t.accountId || '')
+        && (last.currency || fx.currency) === (t.currency || fx.currency) && sameAmount(Number(t.amount) || 0, Number(last.amount) || 0)
+        && daysBetweenISO(last.date, t.date) <= days && !(t.recurringId && t.recurringId === last.recurringId);
+    });
+    if(cluster) cluster.push(t); else clusters.push([t]);
+  });
+  return clusters.filter(c=> c.length > 1).map(charges=> ({ charges, amount: Number(charges[0].amount) || 0, currency: charges[0].currency || fx.currency, note: charges[0].note || charges[0].category }));
+}
+
+const lastDays = (transactions, today, n = INSIGHT_WINDOW_DAYS) => { const from = addDaysISO(today, -n); return transactions.filter(t=> t.date > from && t.date <= today); };
+
+registerInsightRule({ id: 'cash-flow', title: 'Last 30 days', severity: 'info', run({ transactions, fx, today }){
+  const recent = lastDays(transactions, today);
+  const spendByCat = {};
+  expandSplits(recent.filter(t=> t.type==='expense')).forEach(t=> spendByCat[t.category] = (spendByCat[t.category]||0)+fx.tx(t));
+  const topCat = Object.entries(spendByCat).sort((a,b)=>b[1]-a[1])[0];
+  const income = recent.filter(t=> t.type==='income').reduce((a,b)=>a+fx.tx(b),0);
+  const expense = recent.filter(t=> t.type==='expense').reduce((a,b)=>a+fx.tx(b),0);
+  const items = [];
+  if(topCat) items.push({ key: `top:${topCat[0]}`, text: `Top spending category last 30 days: ${topCat[0]} (${fx.format(topCat[1])})` });
+  if(income) items.push({ key: `save-rate:${monthKeyOf(today)}`, text: `Savings rate last 30 days: ${Math.round(((income - expense)/income)*100)}%` });
+  if(expense > income*0.8) items.push({ key: `high-expense:${monthKeyOf(today)}`, severity: 'warning', text: 'Expenses are >80% of income last 30 days.' });
+  return items;
+} });
+
+registerInsightRule({ id: 'spending-pace', title: 'Spending pace', severity: 'info', run({ transactions, fx, today }){
+  const pace = spendingPace(transactions, { fx, today });
+  if(pace.change === null || !pace.current) return [];
+  const pct = Math.round(Math.abs(pace.change) * 100);
+  const ahead = pace.change >= PACE_WARNING;
+  const vs = pct < 1 ? 'about the same as' : `${pct}% ${pace.change > 0 ? 'more' : 'less'} than`;
+  return [{ key: `${pace.month}:${ahead ? 'ahead' : 'ok'}`, severity: ahead ? 'warning' : 'info',
+    text: `Spent ${fx.format(pace.current)} so far this month, ${vs} by day ${pace.day} last month (${fx.format(pace.previous)}); on track for ${fx.format(Math.round(pace.projected))} vs ${fx.format(pace.lastMonthTotal)} last month.` }];
+} });
+
+registerInsightRule({ id: 'subscriptions', title: 'Subscriptions', severity: 'info', run({ transactions, fx, today }){
+  const subs = detectSubscriptions(transactions, { fx, today });
+  if(!subs.length) return [];
+  const items = subs.filter(s=> s.increase).map(s=> ({ key: `increase:${s.payee}:${s.amount}`, severity: 'warning',
+    text: `Price increase: ${s.name} went from ${formatAmount(s.increase.from, s.currency)} to ${formatAmount(s.increase.to, s.currency)} (+${Math.round(s.increase.pct*100)}%) on ${s.increase.since}.` }));
+  const monthly = subs.reduce((a, s)=> a + fx.convert(s.monthly, s.currency, today), 0);
+  items.push({ key: `found:${subs.map(s=> s.payee).sort().join(',')}`,
+    text: `${subs.length} recurring charge(s) found, about ${fx.format(Math.round(monthly))}/month: ${subs.map(s=> `${s.name} ${formatAmount(s.amount, s.currency)} ${s.cadence}`).join(', ')}.` });
+  return items;
+} });
+
+registerInsightRule({ id: 'unusual', title: 'Unusual transactions', severity: 'warning', run({ transactions, fx, today }){
+  return detectAnomalies(transactions, { fx, today }).map(a=> ({ key: `${a.tx.id}${a.tx.splitId ? `/${a.tx.splitId}` : ''}`,
+    text: `Unusual ${a.category} expense: ${fx.format(a.amount)} on ${a.tx.date}${a.tx.note ? ` (${a.tx.note})` : ''}, usually about ${fx.format(Math.round(a.mean))}.` }));
+} });
+
+registerInsightRule({ id: 'duplicates', title: 'Possible duplicate charges', severity: 'warning', run({ transactions, fx, today }){
+  return detectDuplicateCharges(transactions, { fx, today }).map(d=> ({ key: d.charges.map(t=> t.id).sort().join(','),
+    text: `Possible duplicate charge: ${d.note} ${formatAmount(d.amount, d.currency)} ${d.charges.length} times (${d.charges.map(t=> t.date).join(', ')}).` }));
+} });
+
+// running balance from recurring schedules + seasonal discretionary averages (see "Cash-flow forecast")
+registerInsightRule({ id: 'forecast', title: 'Forecast', severity: 'info', run({ forecast, fx }){
+  if(!forecast) return [];
+  const items = [{ key: 'balance', text: `Projected balance on ${forecast.end}: ${fx.format(Math.round(forecast.endBalance))}` }];
+  if(forecast.firstNegative) items.push({ key: `negative:${forecast.firstNegative}`, severity: 'alert', text: `Balance is projected to go negative on ${forecast.firstNegative} (in ${Math.round(monthsBetweenISO(forecast.today, forecast.firstNegative) * AVG_MONTH_DAYS)} days).` });
+  else if(forecast.firstNegativeLow) items.push({ key: `risk:${forecast.firstNegativeLow}`, severity: 'warning', text: `Balance could dip below zero as early as ${forecast.firstNegativeLow} if spending runs high.` });
+  return items;
+} });
+
+// goals falling behind their deadline at the current contribution pace
+registerInsightRule({ id: 'goals', title: 'Goals', severity: 'warning', run({ goals = [], transactions, fx, today }){
+  return goals.flatMap(g=>{
+    const gp = goalProgress(g, transactions, fx, today);
+    if(gp.status === 'behind') return [{ key: `behind:${g.id}:${monthKeyOf(today)}`, text: `Goal "${g.name}" is falling behind: needs ${fx.format(Math.round(gp.monthlyNeeded))}/month, current pace ${fx.format(Math.round(gp.pace))}/month${gp.projectedDate ? ` (projected ${gp.projectedDate}, deadline ${g.deadline})` : ''}.` }];
+    if(gp.status === 'overdue') return [{ key: `overdue:${g.id}:${g.deadline}`, severity: 'alert', text: `Goal "${g.name}" missed its ${g.deadline} deadline with ${fx.format(Math.round(gp.remaining))} still to save.` }];
+    return [];
+  });
+} });
+
+// the financial year so far, and deduction caps still open as its end approaches
+registerInsightRule({ id: 'financial-year', title: 'Financial year', severity: 'info', run({ transactions, investments = [], fx, today, fyStartMonth = 1, tax, lotMethod }){
+  const fy = financialYear(today, fyStartMonth);
+  const totals = periodTotals(transactions, fx, { from: fy.start, to: today });
+  const items = [];
+  if(totals.income) items.push({ key: `${fy.label}:${monthKeyOf(today)}`, text: `${fy.label} to date: income ${fx.format(Math.round(totals.income))}, expenses ${fx.format(Math.round(totals.expense))}, savings rate ${Math.round(totals.net / totals.income * 100)}%.` });
+  const left = daysBetweenISO(today, fy.end);
+  if(left > TAX_REMINDER_DAYS) return items;
+  const severity = left <= 30 ? 'warning' : 'info';
+  taxSummary({ transactions, investments, fx, fy, settings: tax, method: lotMethod }).sections.filter(x=> x.cap !== null && x.total > 0 && x.remaining > 0).forEach(x=> items.push({
+    key: `${fy.label}:${x.id}:${severity}`, severity,
+    text: `${x.id}: ${fx.format(Math.round(x.total))} of ${fx.format(Math.round(x.cap))} claimed for ${fy.label}; ${fx.format(Math.round(x.remaining))} left to use by ${fy.end}.` }));
+  return items;
+} });
+
+// ---------- Statement import (CSV / OFX / QIF) ----------
+// Parsers return "candidates": { date, amount (signed, +income / -expense), note, category?, externalId? }.
+// CSV columns are mapped through an import profile that is saved per bank and re-used on later imports:
+// { id, name, delimiter, hasHeader, dateFormat, headerSignature, columns:{ date, description, amount, debit, credit, category } }
+const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYYMMDD'];
+const MONTH_NAMES = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
+const DUPLICATE_NOTE_THRESHOLD = 0.5;
+
+function detectDelimiter(text){
+  const sample = text.split(/\r?\n/).slice(0,10).join('\n');
+  const best = [',',';','\t','|'].map(d=> [d, sample.split(d).length-1]).sort((a,b)=>b[1]-a[1])[0];
+  return best[1] ? best[0] : ',';
+}
+
+// quote-aware CSV parser (RFC 4180 style, "" escapes a quote); drops blank lines
+function parseCSV(text, delimiter = ','){
+  const rows = []; let row = []; let cell = ''; let quoted = false;
+  for(let i=0; i<text.length; i++){
+    const ch = text[i];
+    if(quoted){
+      if(ch === '"' && text[i+1] === '"'){ cell += '"'; i++; }
+      else if(ch === '"') quoted = false;
+      else cell += ch;
+    }else if(ch === '"') quoted = true;
+    else if(ch === delimiter){ row.push(cell); cell = ''; }
+    else if(ch === '\n' || ch === '\r'){
+      if(ch === '\r' && text[i+1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    }else cell += ch;
+  }
+  row.push(cell); rows.push(row);
+  return rows.map(r=> r.map(c=> c.trim())).filter(r=> r.some(c=> c !== ''));
+}
+
+function parseDateStr(str, format = 'auto'){
+  const s = String(str||'').trim();
+  if(!s) return null;
+  if(format === 'YYYYMMDD' || (format === 'auto' && /^\d{8}/.test(s))) return isoFromParts(s.slice(0,4), s.slice(4,6), s.slice(6,8));
+  const parts = s.split(/[^0-9A-Za-z]+/).filter(Boolean).slice(0,3);
+  if(parts.length < 3) return null;
+  // month names ("15 Jan 2024", "Jan 15, 2024")
+  const named = parts.findIndex(p=> MONTH_NAMES.includes(p.slice(0,3).toLowerCase()));
+  if(named >= 0){
+    const m = MONTH_NAMES.indexOf(parts[named].slice(0,3).toLowerCase()) + 1;
+    const rest = parts.filter((_,i)=> i!==named);
+    return rest[0].length === 4 ? isoFromParts(rest[0], m, rest[1]) : isoFromParts(rest[1], m, rest[0]);
+  }
+  let order = format;
+  if(format === 'auto'){
+    if(parts[0].length === 4) order = 'YYYY-MM-DD';
+    else if(Number(parts[1]) > 12) order = 'MM/DD/YYYY';
+    else order = 'DD/MM/YYYY';
+  }
+  if(order === 'YYYY-MM-DD') return isoFromParts(parts[0], parts[1], parts[2]);
+  if(order === 'MM/DD/YYYY') return isoFromParts(parts[2], parts[0], parts[1]);
+  return isoFromParts(parts[2], parts[1], parts[0]);
+}
+
+function isoFromParts(y, m, d){
+  let year = Number(y); const month = Number(m); const day = Number(d);
+  if(String(y).length === 2) year += 2000;
+  if(!year || month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const dt = new Date(Date.UTC(year, month-1, day));
+  if(dt.getUTCMonth() !== month-1) return null;
+  return dt.toISOString().slice(0,10);
+}
+
+// "1,234.50", "(45.00)", "45.00-", "1.234,50", "₹ 300 Dr" -> signed number (NaN when unparseable)
+function parseAmount(value){
+  let s = String(value ?? '').trim();
+  if(!s) return NaN;
+  let sign = 1;
+  if(/^\(.*\)$/.test(s) || /-$/.test(s) || /\bdr\.?$/i.test(s)) sign = -1;
+  s = s.replace(/\b(cr|dr)\.?$/i, '').replace(/[^0-9.,-]/g, '').replace(/-$/, '');
+  if(s.startsWith('-')){ sign = -sign; s = s.slice(1); }
+  if(/^\d{1,3}(\.\d{3})*,\d+$/.test(s) || /^\d+,\d{1,2}$/.test(s)) s = s.replace(/\./g, '').replace(',', '.');
+  else s = s.replace(/,/g, '');
+  return s ? sign * Number(s) : NaN;
+}
+
+function headerSignature(header){ return header.map(h=> h.toLowerCase()).join('|'); }
+
+// best-effort column guess for a new bank; the user confirms it in the mapping form
+function guessColumns(header){
+  const find = re => { const i = header.findIndex(h=> re.test(h)); return i >= 0 ? i : null; };
+  const debit = find(/debit|withdraw|paid out/i);
+  const credit = find(/credit|deposit|paid in/i);
+  return {
+    date: find(/date/i) ?? 0,
+    description: find(/desc|narration|particular|payee|memo|detail|remark/i),
+    amount: debit !== null || credit !== null ? null : find(/amount|amt|value/i),
+    debit, credit,
+    category: find(/categor/i),
+  };
+}
+
+function mapCSVRows(rows, profile){
+  const c = profile.columns;
+  const body = profile.hasHeader ? rows.slice(1) : rows;
+  return body.map((r, idx)=>{
+    let amount;
+    if(c.amount !== null && c.amount !== undefined) amount = parseAmount(r[c.amount]);
+    else amount = (parseAmount(r[c.credit]) || 0) - Math.abs(parseAmount(r[c.debit]) || 0);
+    return {
+      line: idx + (profile.hasHeader ? 2 : 1),
+      date: parseDateStr(r[c.date], profile.dateFormat),
+      amount,
+      note: c.description !== null && c.description !== undefined ? r[c.description] || '' : '',
+      category: c.category !== null && c.category !== undefined ? r[c.category] || '' : '',
+    };
+  });
+}
+
+function parseOFX(text){
+  const tag = (block, name) => { const m = block.match(new RegExp('<' + name + '>([^<\\r\\n]*)', 'i')); return m ? m[1].trim() : ''; };
+  return text.split(/<STMTTRN>/i).slice(1).map((block, idx)=> ({
+    line: idx+1,
+    date: parseDateStr(tag(block, 'DTPOSTED'), 'YYYYMMDD'),
+    amount: parseAmount(tag(block, 'TRNAMT')),
+    note: [tag(block, 'NAME'), tag(block, 'MEMO')].filter(Boolean).join(' — '),
+    externalId: tag(block, 'FITID') || undefined,
+  }));
+}
+
+function parseQIF(text){
+  const out = []; let cur = {};
+  text.split(/\r?\n/).forEach(raw=>{
+    const line = raw.trim();
+    if(!line || line.startsWith('!')) return;
+    const code = line[0]; const val = line.slice(1).trim();
+    if(code === '^'){ if(Object.keys(cur).length) out.push({ line: out.length+1, ...cur }); cur = {}; return; }
+    if(code === 'D') cur.date = parseDateStr(val.replace(/'/g, '/'), 'MM/DD/YYYY') || parseDateStr(val, 'auto');
+    else if(code === 'T' || code === 'U') cur.amount = parseAmount(val);
+    else if(code === 'P') cur.note = cur.note ? `${val} — ${cur.note}` : val;
+    else if(code === 'M') cur.note = cur.note ? `${cur.note} — ${val}` : val;
+    else if(code === 'L') cur.category = val.replace(/^\[|\]$/g, '');
+  });
+  if(Object.keys(cur).length) out.push({ line: out.length+1, ...cur });
+  return out.map(c=> ({ note: '', ...c }));
+}
+
+function detectImportFormat(fileName, text){
+  if(/\.(ofx|qfx)$/i.test(fileName) || /<OFX>/i.test(text)) return 'ofx';
+  if(/\.qif$/i.test(fileName) || /^!Type:/im.test(text)) return 'qif';
+  return 'csv';
+}
+
+function noteTokens(s){ return new Set(String(s||'').toLowerCase().split(/[^a-z0-9]+/).filter(w=> w.length>1 && !/^\d+$/.test(w))); }
+
+// token overlap (Jaccard) between two notes; 1 when one note contains the other
+function noteSimilarity(a, b){
+  const x = String(a||'').toLowerCase().trim(); const y = String(b||'').toLowerCase().trim();
+  if(!x && !y) return 1;
+  if(x && y && (x.includes(y) || y.includes(x))) return 1;
+  const ta = noteTokens(x); const tb = noteTokens(y);
+  if(!ta.size || !tb.size) return 0;
+  let shared = 0; ta.forEach(w=> { if(tb.has(w)) shared++; });
+  return shared / (ta.size + tb.size - shared);
+}
+
+function isDuplicateTxn(a, b){
+  if(a.externalId && b.externalId) return a.externalId === b.externalId;
+  return a.date === b.date && a.type === b.type && Math.abs(Number(a.amount) - Number(b.amount)) < 0.005 && noteSimilarity(a.note, b.note) >= DUPLICATE_NOTE_THRESHOLD;
+}
+
+// turn candidates into transactions and flag rows that already exist (or repeat within the same file); rows carry the
+// import account before categorizing so account-scoped rules apply
+function buildImportPreview(candidates, existing, currency, rules = [], accountId = null){
+  const accepted = [];
+  return candidates.map(c=>{
+    const error = !c.date ? 'invalid date' : (!Number.isFinite(c.amount) || c.amount === 0) ? 'invalid amount' : null;
+    const tx = autoCategorize({ type: c.amount > 0 ? 'income' : 'expense', amount: Math.abs(c.amount) || 0, category: c.category || null, date: c.date, note: c.note || '', currency, source: 'import', ...(accountId ? { accountId } : {}) }, rules);
+    if(c.externalId) tx.externalId = c.externalId;
+    const duplicate = !error && (existing.some(t=> isDuplicateTxn(t, tx)) || accepted.some(t=> isDuplicateTxn(t, tx)));
+    if(!error && !duplicate) accepted.push(tx);
+    return { line: c.line, tx, error, duplicate };
+  });
+}
+
+// ---------- Bank feed ingestion (signed batches, idempotency, pending → posted) ----------
+// An aggregator delivers batches of JSON signed with HMAC-SHA256 over the exact body, using a secret shared with
+// this device; the signature is "sha256=<hex>" (the usual webhook signature header):
+//   { provider, batchId, sentAt, transactions: [{ id, status: 'pending'|'posted', pendingId?, date, amount,
+//     direction?: 'credit'|'debit', description, currency?, accountId?, category? }] }
+// Transactions are keyed by the provider's id, so a replayed batch changes nothing. A posted item takes over its
+// pending version (named by pendingId, or found by account, amount, date and description) and keeps the user's
+// category and note. The type comes from `direction` when given; only otherwise from the sign of `amount`.
+const FEED_SECRET_KEY = 'pfd:feedSecret';
+const FEED_MATCH_DAYS = 7;
+const FEED_MATCH_TOLERANCE = 0.2; // settled amounts may differ from the pending hold (tips, FX)
+
+const toHex = bytes => Array.from(bytes, b=> b.toString(16).padStart(2, '0')).join('');
+
+async function signPayload(body, secret){
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return 'sha256=' + toHex(new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body))));
+}
+
+// constant-time comparison against the expected signature
+async function verifySignature(body, signature, secret){
+  if(!secret || !signature) return false;
+  const expected = await signPayload(body, secret);
+  const given = String(signature).trim().toLowerCase().replace(/^(sha256=)?/, 'sha256=');
+  let diff = expected.length ^ given.length;
+  for(let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ (given.charCodeAt(i) || 0);
+  return diff === 0;
+}
+
+// deterministic document id, so repeated or concurrent deliveries of an item write the same document
+function feedTxnId(provider, externalId){
+  let hash = 0; for(const ch of `${provider}:${externalId}`) hash = (hash*31 + ch.charCodeAt(0)) | 0;
+  const safe = s => String(s).replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32);
+  return `feed-${safe(provider)}-${safe(externalId)}-${(hash >>> 0).toString(36)}`;
+}
+
+function feedItemTxn(item, provider, currency){
+  const amount = Number(item.amount);
+  const date = parseDateStr(item.date, 'auto');
+  if(item.id == null || item.id === '') return { error: 'missing id' };
+  if(!date) return { error: `invalid date "${item.date ?? ''}"` };
+  if(!Number.isFinite(amount) || amount === 0) return { error: `invalid amount "${item.amount ?? ''}"` };
+  const direction = String(item.direction || '').toLowerCase();
+  const type = direction === 'credit' ? 'income' : direction === 'debit' ? 'expense' : amount > 0 ? 'income' : 'expense';
+  const feed = { provider, status: item.status === 'pending' ? 'pending' : 'posted', ...(item.pendingId ? { pendingId: String(item.pendingId) } : {}) };
+  return { tx: { type, amount: Math.abs(amount), category: item.category || null, date, note: item.description || '', currency: item.currency || currency, ...(item.accountId ? { accountId: item.accountId } : {}), externalId: String(item.id), feed } };
+}
+
+// the pending transaction a posted item most likely settles
+function matchPending(tx, transactions, provider, claimed){
+  return transactions.filter(t=> !t.deleted && !claimed.has(t.id) && t.feed && t.feed.provider === provider && t.feed.status === 'pending'
+      && t.type === tx.type && (t.accountId || null) === (tx.accountId || null)
+      && Math.abs(Number(t.amount) - tx.amount) <= FEED_MATCH_TOLERANCE * Math.max(Number(t.amount), tx.amount)
+      && Math.abs(Date.parse(tx.date) - Date.parse(t.date)) <= FEED_MATCH_DAYS * DAY_MS
+      && noteSimilarity(t.note, tx.note) >= DUPLICATE_NOTE_THRESHOLD)
+    .sort((a, b)=> Math.abs(Number(a.amount) - tx.amount) - Math.abs(Number(b.amount) - tx.amount))[0] || null;
+}
+
+// Writes for one batch against the current transactions (deleted ones included, so a replay cannot revive them):
+//   { writes: [{ id, data, merge }], results: [{ index, externalId, action, message?, write? }] }
+// action: created | updated (the provider changed the item) | posted (a pending item settled) | duplicate | failed
+function planFeedBatch(payload, transactions, { rules = [], currency, accounts = [] } = {}){
+  const provider = String(payload.provider || 'bank');
+  const known = new Map(); // provider id, or the pending id a posted transaction replaced -> transaction
+  transactions.filter(t=> t.feed && t.feed.provider === provider).forEach(t=> { known.set(t.externalId, t); if(t.feed.pendingId) known.set(t.feed.pendingId, t); });
+  const claimed = new Set();
+  const writes = []; const results = [];
+  (Array.isArray(payload.transactions) ? payload.transactions : []).forEach((item, index)=>{
+    const externalId = item && item.id != null ? String(item.id) : null;
+    const parsed = feedItemTxn(item || {}, provider, currency);
+    if(parsed.error){ results.push({ index, externalId, action: 'failed', message: parsed.error }); return; }
+    const incoming = { ...parsed.tx, feed: { ...parsed.tx.feed, batchId: payload.batchId || null } };
+    let existing = known.get(externalId);
+    let action = 'updated';
+    if(!existing && incoming.feed.status === 'posted'){
+      existing = (incoming.feed.pendingId && known.get(incoming.feed.pendingId)) || matchPending(incoming, transactions, provider, claimed);
+      action = 'posted';
+    }
+    if(!existing){
+      const tx = autoCategorize(incoming, rules);
+      const locked = lockReason(null, tx, accounts);
+      if(locked){ results.push({ index, externalId, action: 'failed', message: locked }); return; }
+      const id = feedTxnId(provider, externalId);
+      known.set(externalId, { id, ...tx });
+      results.push({ index, externalId, action: 'created', write: writes.length });
+      writes.push({ id, data: tx });
+      return;
+    }
+    // a late copy of the pending version of something already posted
+    if(existing.feed && existing.feed.status === 'posted' && incoming.feed.status === 'pending'){ results.push({ index, externalId, action: 'duplicate' }); return; }
+    const updates = { type: incoming.type, amount: incoming.amount, date: incoming.date, currency: incoming.currency, externalId, ...(incoming.accountId ? { accountId: incoming.accountId } : {}) };
+    const changed = Object.fromEntries(Object.entries(updates).filter(([k, v])=> !sameValue(existing[k], v)));
+    if(!Object.keys(changed).length && existing.feed && existing.feed.status === incoming.feed.status){ results.push({ index, externalId, action: 'duplicate' }); return; }
+    const locked = lockReason(existing, changed, accounts);
+    if(locked){ results.push({ index, externalId, action: 'failed', message: locked }); return; }
+    const feed = { ...incoming.feed, ...(existing.externalId && existing.externalId !== externalId ? { pendingId: existing.externalId } : {}) };
+    claimed.add(existing.id);
+    known.set(externalId, { ...existing, ...updates, feed });
+    results.push({ index, externalId, action, write: writes.length });
+    writes.push({ id: existing.id, data: { ...updates, feed }, merge: true });
+  });
+  return { writes, results };
+}
+
+const countFeedResults = results => results.reduce((a, r)=> ({ ...a, [r.action]: (a[r.action] || 0) + 1 }), {});
+
+// sample deliveries behind the bank-feed panel's "Mock aggregator" buttons, for trying the feed by hand (nothing runs
+// them automatically): new items, pending → posted with a changed amount and date, a debit sent with a positive amount,
+// a replayed item and an invalid row. Sign them with MOCK_FEED_SECRET.
+const MOCK_FEED_SECRET = 'mock-aggregator-secret';
+function mockAggregatorBatches(today = todayISO()){
+  const day = n => addDaysISO(today, -n);
+  return [
+    { provider: 'mockbank', batchId: 'mock-1', sentAt: `${day(2)}T09:00:00Z`, transactions: [
+      { id: 'p-100', status: 'pending', date: day(2), amount: -42.5, description: 'CAFE ROMA' },
+      { id: 't-200', status: 'posted', date: day(2), amount: 2500, direction: 'credit', description: 'ACME PAYROLL' },
+      { id: 't-201', status: 'posted', date: day(3), amount: 19.99, direction: 'debit', description: 'STREAMFLIX SUBSCRIPTION' },
+    ] },
+    { provider: 'mockbank', batchId: 'mock-2', sentAt: `${day(0)}T09:00:00Z`, transactions: [
+      { id: 't-100', status: 'posted', pendingId: 'p-100', date: day(1), amount: -47.5, description: 'CAFE ROMA' },
+      { id: 't-200', status: 'posted', date: day(2), amount: 2500, direction: 'credit', description: 'ACME PAYROLL' },
+      { id: 't-300', status: 'posted', date: 'not-a-date', amount: -5, description: 'BROKEN ROW' },
+    ] },
+  ];
+}
+
+// ---------- Transaction search ----------
+const TXN_PAGE_SIZE = 50;
+const UNDO_LIMIT = 20;
+const EMPTY_TXN_FILTER = { text: '', from: '', to: '', type: 'all', category: '', categories: [], account: '', currency: '', tax: '', min: '', max: '' }; // tax: section id, '*' = any; categories: any of (a report's "Other" slice)
+
+// text search (note, payee, category, amount) plus date range, type, category (incl. split parts), account, currency
+// and original-amount bounds
+function filterTransactions(list, filter, defaultCurrency){
+  const f = { ...EMPTY_TXN_FILTER, ...filter };
+  const text = f.text.trim().toLowerCase();
+  return list.filter(t=>{
+    if(f.from && t.date < f.from) return false;
+    if(f.to && t.date > f.to) return false;
+    if(f.type !== 'all' && t.type !== f.type) return false;
+    if(f.category && !splitParts(t).some(p=> p.category === f.category)) return false;
+    if(f.categories.length && !splitParts(t).some(p=> f.categories.includes(p.category))) return false;
+    if(f.account && t.accountId !== f.account && t.toAccountId !== f.account) return false;
+    if(f.currency && (t.currency || defaultCurrency) !== f.currency) return false;
+    if(f.tax && (f.tax === '*' ? !t.taxSection : t.taxSection !== f.tax)) return false;
+    const amount = Number(t.amount) || 0;
+    if(f.min !== '' && amount < Number(f.min)) return false;
+    if(f.max !== '' && amount > Number(f.max)) return false;
+    return !text || [t.note, t.payee, t.category, t.amount].some(v=> String(v ?? '').toLowerCase().includes(text));
+  });
+}
+
+// ---------- Auto-categorization ----------
+// Rules live in the `meta/categoryRules` doc as { rules: [...] }; array order is priority (first match wins).
+// Rule: { id, category, pattern, patternType:'contains'|'regex', minAmount, maxAmount, accountId, type:'any'|'income'|'expense',
+// enabled, source:'manual'|'correction' }. Every condition left empty matches anything. The payee is `payee` or the note.
+const UNCATEGORIZED = 'Uncategorized';
+
+function normalizePayee(s){ return String(s||'').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim(); }
+
+function ruleMatches(rule, tx){
+  if(rule.enabled === false) return false;
+  if(rule.type && rule.type !== 'any' && rule.type !== tx.type) return false;
+  const amount = Math.abs(Number(tx.amount) || 0);
+  if(rule.minAmount !== null && rule.minAmount !== undefined && rule.minAmount !== '' && amount < Number(rule.minAmount)) return false;
+  if(rule.maxAmount !== null && rule.maxAmount !== undefined && rule.maxAmount !== '' && amount > Number(rule.maxAmount)) return false;
+  if(rule.accountId && rule.accountId !== tx.accountId) return false;
+  if(!rule.pattern) return true;
+  const payee = tx.payee || tx.note || '';
+  if(rule.patternType === 'regex'){
+    try{ return new RegExp(rule.pattern, 'i').test(payee); }catch(e){ return false; }
+  }
+  return normalizePayee(payee).includes(normalizePayee(rule.pattern));
+}
+
+function matchRule(tx, rules){ return (rules || []).find(r=> r.category && ruleMatches(r, tx)) || null; }
+
+// fill in the category of a transaction that doesn't have one; explicit categories are left alone
+function autoCategorize(tx, rules){
+  if((tx.category && tx.category !== UNCATEGORIZED) || tx.type === 'transfer' || (tx.splits && tx.splits.length)) return tx;
+  const rule = matchRule(tx, rules);
+  return rule ? { ...tx, category: rule.category, ruleId: rule.id } : { ...tx, category: UNCATEGORIZED };
+}
+
+// a "payee contains" rule from a manual re-categorization: the first run of (up to 3) words before any
+// reference number, so it still matches the next statement line; null when the note has nothing to match on
+function suggestRuleFromCorrection(tx, category){
+  const run = [];
+  for(const w of normalizePayee(tx.payee || tx.note).split(' ')){
+    if(w.length < 2 || /^\d+$/.test(w)){ if(run.length) break; continue; }
+    run.push(w);
+    if(run.length === 3) break;
+  }
+  const pattern = run.join(' ');
+  if(!pattern) return null;
+  return { id: uid(), category, pattern, patternType: 'contains', minAmount: null, maxAmount: null, accountId: null, type: tx.type || 'any', enabled: true, source: 'correction' };
+}
+
+// transactions a rule would re-categorize if applied retroactively
+function retroactiveMatches(rule, transactions){
+  return transactions.filter(t=> !t.deleted && t.category !== rule.category && ruleMatches(rule, t));
+}
+
+// ---------- Backup, restore & schema migrations ----------
+// A backup is one JSON file holding every collection of the open ledger as stored documents ({ coll: [{ id, ...data }] },
+// sync stamps removed), tagged with the schema version it was written in. With a passphrase the data is
+// encrypted (AES-GCM, key derived with PBKDF2-SHA256); the header stays readable so a newer schema is refused
+// before asking for the passphrase.
+const SCHEMA_VERSION = 6;
+const BACKUP_FORMAT = 'pfd-backup';
+const BACKUP_KDF_ITERATIONS = 250000;
+
+const emptyDataset = () => Object.fromEntries(COLLECTIONS.map(c=> [c, []]));
+const withoutStamps = ({ _ts, ...doc }) => doc;
+// key-order independent comparison of stored documents
+const canonicalJSON = v => JSON.stringify(v, (k, x)=> isPlainObject(x) ? Object.fromEntries(Object.entries(x).sort(([a], [b])=> a < b ? -1 : a > b ? 1 : 0)) : x);
+
+// nothing but nulls, empty lists and empty maps (e.g. a cleared settings doc or price history)
+const isEmptyDoc = doc => Object.values(doc).every(v=> v == null || (Array.isArray(v) ? !v.length : isPlainObject(v) && isEmptyDoc(v)));
+
+// MIGRATIONS[n] upgrades a dataset from schema n to n+1. Data saved before versioning counts as schema 1, so each
+// step must leave documents that already have the newer shape untouched.
+const MIGRATIONS = {
+  // goals: the starter saved `progress`, everything since reads `allocated`; budgets: the { Food: 5000 } map became items
+  1: data => ({
+    ...data,
+    goals: data.goals.map(({ progress, ...g })=> ({ ...g, allocated: Number(g.allocated ?? progress) || 0 })),
+    meta: data.meta.map(({ id, ...d })=> id === 'budgets' ? { id, ...normalizeBudgets(withoutStamps(d)) } : { id, ...d }),
+  }),
+  // investments: positions { quantity, avgPrice, currentPrice? } became ledger buys; a currentPrice becomes today's close
+  2: data => {
+    const closes = {};
+    const investments = data.investments.map(({ currentPrice, ...e })=>{
+      if(Number(currentPrice) > 0 && e.symbol) closes[e.symbol] = { [todayISO()]: Number(currentPrice) };
+      return normalizeLedgerEntry(e);
+    });
+    const prices = data.prices.map(p=> closes[p.id] ? { ...p, closes: { ...closes[p.id], ...p.closes } } : p);
+    Object.keys(closes).filter(symbol=> !prices.some(p=> p.id === symbol)).forEach(symbol=> prices.push({ id: symbol, closes: closes[symbol] }));
+    return { ...data, investments, prices };
+  },
+  // transactions: `reconciled` was one statement date, now one per account (a transfer is cleared on each side)
+  3: data => ({
+    ...data,
+    transactions: data.transactions.map(t=> typeof t.reconciled === 'string' ? { ...t, reconciled: reconciledMap(t) } : t),
+  }),
+  // goals: `contributions` was an array rewritten whole on every change, now a map keyed by contribution id
+  4: data => ({
+    ...data,
+    goals: data.goals.map(g=> Array.isArray(g.contributions) ? { ...g, contributions: contributionMap(g) } : g),
+  }),
+  // category rules: `account` was free text compared to a field transactions don't have, now the `accountId` they do;
+  // a name that matches no account stays as an id that matches nothing, as the rule did before
+  5: data => ({
+    ...data,
+    meta: data.meta.map(({ id, ...d })=> id !== 'categoryRules' ? { id, ...d } : { id, ...d, rules: (d.rules || []).map(({ account, ...r })=>{
+      if(r.accountId !== undefined || !account) return { ...r, accountId: r.accountId || null };
+      const found = data.accounts.find(a=> normalizePayee(a.name) === normalizePayee(account));
+      return { ...r, accountId: found ? found.id : account };
+    }) }),
+  }),
+};
+
+function migrateDataset(data, fromVersion = 1){
+  let out = { ...emptyDataset(), ...data };
+  for(let v = Math.max(1, fromVersion); v < SCHEMA_VERSION; v++) out = MIGRATIONS[v](out);
+  return out;
+}
+
+const toBase64 = bytes => btoa(Array.from(bytes, b=> String.fromCharCode(b)).join(''));
+const fromBase64 = text => Uint8Array.from(atob(text), c=> c.charCodeAt(0));
+
+async function backupKey(passphrase, salt, iterations){
+  const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+async function createBackup(data, { passphrase = '', label = '' } = {}){
+  const head = { format: BACKUP_FORMAT, schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), label };
+  const clean = Object.fromEntries(Object.entries(data).map(([coll, docs])=> [coll, docs.map(withoutStamps)]));
+  if(!passphrase) return { ...head, data: clean };
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await backupKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+  const payload = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(clean)));
+  return { ...head, encryption: { cipher: 'AES-GCM', kdf: 'PBKDF2-SHA256', iterations: BACKUP_KDF_ITERATIONS, salt: toBase64(salt), iv: toBase64(iv) }, payload: toBase64(new Uint8Array(payload)) };
+}
+
+// parsed backup file -> { data (migrated to SCHEMA_VERSION), version } or { error, encrypted }
+async function readBackup(backup, passphrase = ''){
+  if(!backup || backup.format !== BACKUP_FORMAT) return { error: 'Not a backup file from this dashboard.' };
+  const version = Number(backup.schemaVersion) || 1;
+  if(version > SCHEMA_VERSION) return { error: `This backup was written by a newer version of the app (schema ${version}).` };
+  let data = backup.data;
+  if(backup.encryption){
+    if(!passphrase) return { error: 'This backup is encrypted: enter its passphrase.', encrypted: true };
+    try{
+      const { salt, iv, iterations } = backup.encryption;
+      const key = await backupKey(passphrase, fromBase64(salt), iterations);
+      data = JSON.parse(new TextDecoder().decode(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(backup.payload))));
+    }catch(e){ return { error: 'Wrong passphrase, or the file is damaged.', encrypted: true }; }
+  }
+  if(!isPlainObject(data)) return { error: 'The backup holds no data.' };
+  return { data: migrateDataset(data, version), version };
+}
+
+// merge writes every backup document over the current one; replace also retires documents missing from the backup,
+// as soft deletes (price histories and settings are emptied). The schema marker and display prefs are never removed.
+function restorePlan(current, incoming, mode = 'merge'){
+  const summary = []; const writes = [];
+  COLLECTIONS.forEach(coll=>{
+    const have = new Map((current[coll] || []).map(({ id, ...d })=> [id, withoutStamps(d)]));
+    const docs = (incoming[coll] || []).filter(d=> d && d.id && !(coll === 'meta' && d.id === 'schema'));
+    const row = { coll, added: 0, updated: 0, unchanged: 0, removed: 0 };
+    docs.forEach(({ id, ...data })=>{
+      const prev = have.get(id);
+      if(prev && canonicalJSON(prev) === canonicalJSON(withoutStamps(data))){ row.unchanged++; return; }
+      row[prev ? 'updated' : 'added']++;
+      writes.push({ coll, id, data: withoutStamps(data) });
+    });
+    if(mode === 'replace'){
+      const kept = new Set(docs.map(d=> d.id));
+      have.forEach((doc, id)=>{
+        if(kept.has(id) || (coll === 'meta' && (id === 'schema' || id === 'prefs'))) return;
+        if(coll === 'prices' || coll === 'meta' ? isEmptyDoc(doc) : doc.deleted) return;
+        row.removed++;
+        writes.push(coll === 'prices' ? { coll, id, data: { closes: {} } } : coll === 'meta' ? { coll, id, data: {} } : { coll, id, data: { deleted: true }, merge: true });
+      });
+    }
+    summary.push(row);
+  });
+  return { summary, writes };
+}
+
+// ---------- React Component ----------
+export default function AdvancedFinanceApp({ storage = STORAGE_CONFIG, repositories } = {}){
+  // Storage backends (see "Storage repositories"); `repositories` lets an embedding app supply its own
+  const repos = useMemo(()=> repositories || createRepositories(storage), [repositories, storage]);
+
+  // Auth & user
+  const [user, setUser] = useState(null);
+  const [uidLocal, setUidLocal] = useState(null);
+
+  // App state
+  const [transactions, setTransactions] = useState([]); // {id, type, amount, category, note, date, currency, fxRate, fxRates?, accountId?, toAccountId?, splits?, reconciled?:{accountId: date}, recurringId?, occurrence?}
+  const [accounts, setAccounts] = useState([]); // {id, name, kind, currency, openingBalance, openingDate, reconciliations:[], reconciledThrough}
+  const [recurringRules, setRecurringRules] = useState([]); // schedule objects, see "Recurring schedules"
+  const [budgets, setBudgets] = useState(()=> normalizeBudgets(null)); // {currency, items:[{id, category, amount, period, startMonth|start/end, rollover}]}
+  const [goals, setGoals] = useState([]); // {id, name, target, currency, deadline, allocated (opening balance), contributions:{[id]: {date, amount, currency, note}}, createdAt}
+  const [investments, setInvestments] = useState([]); // ledger entries {id, symbol, kind, date, quantity, price, fees, amount, ratio, currency}
+  const [prices, setPrices] = useState({}); // { symbol: { 'YYYY-MM-DD': close } }
+  const [prefs, setPrefs] = useState({ currency: 'INR', theme: 'light', alerts: true, lotMethod: 'fifo', fyStartMonth: 4 });
+  const [rates, setRates] = useState(()=> loadRateCache().latest);
+  const [rateHistory, setRateHistory] = useState(()=> loadRateCache().history);
+  const [importProfiles, setImportProfiles] = useState([]); // saved CSV column mappings, one per bank
+  const [categoryRules, setCategoryRules] = useState([]); // auto-categorization rules in priority order
+  const [ruleSuggestion, setRuleSuggestion] = useState(null); // { rule, matches } offered after a manual re-categorization
+  const [forecastMonths, setForecastMonths] = useState(6); // cash-flow forecast horizon (3-12)
+  const [reportPeriod, setReportPeriod] = useState(()=> ({ preset: '12m', ...reportRange('12m') })); // { preset, from, to } for reports, Summary & report exports
+  const [taxYear, setTaxYear] = useState(todayISO()); // any date in the financial year shown in the tax summary
+  const [txnFilter, setTxnFilter] = useState(EMPTY_TXN_FILTER); // transaction manager filters (set by report drill-downs too)
+  const txnCard = useRef(null);
+  const notificationCard = useRef(null);
+  const [notice, setNotice] = useState(null); // short message for a refused action (e.g. editing a reconciled transaction)
+  const [undoStack, setUndoStack] = useState([]); // [{ label, changes:[{ id, updates }] }] newest first, restoring previous values
+  const [ledgers, setLedgers] = useState([]); // shared ledgers the user belongs to or is invited to
+  const [activeLedgerId, setActiveLedgerId] = useState(()=> readJSON(ACTIVE_LEDGER_KEY, PERSONAL_LEDGER)); // PERSONAL_LEDGER or a shared ledger id
+  const [settlements, setSettlements] = useState([]); // settle-up payments between members of the open shared ledger
+  const [notifications, setNotifications] = useState([]); // notification center (this device): [{ id, key, kind, title, body, at, read, delivered: false|'browser'|'in-app', cleared? }] newest first
+  const [feedSecret, setFeedSecret] = useState(()=> readJSON(FEED_SECRET_KEY, '')); // HMAC secret shared with the bank feed (this device only)
+  const [feedLogs, setFeedLogs] = useState([]); // one entry per delivered bank-feed batch, newest first
+  const [permission, setPermission] = useState(()=> typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+  // Offline-first sync
+  const [online, setOnline] = useState(()=> typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [conflicts, setConflicts] = useState([]); // [{id, coll, docId, field, local, cloud, winner, at}]
+  const materializing = useRef(false); // a run is writing occurrences; its own rule saves must not start another
+  const storedDocs = useRef({}); // coll -> documents of the open ledger exactly as last loaded (for migrations)
+  const snapshotScope = useRef(null); // the scope storedDocs belong to
+  const [loadedScope, setLoadedScope] = useState(null); // set once every collection of the open ledger has loaded
+
+  // UI
+  const [loading, setLoading] = useState(false);
+
+  // Auth listeners (only with a cloud backend)
+  useEffect(()=>{
+    if(!repos.remote) return;
+    const unsub = onAuthStateChanged(repos.remote.auth(), (u)=>{
+      setUser(u || null);
+      setUidLocal(u ? u.uid : null);
+    });
+    return ()=>unsub();
+  },[repos]);
+
+  // ---------- Shared ledgers ----------
+  useEffect(()=>{
+    if(!user || !repos.remote){ setLedgers([]); return; }
+    return repos.remote.subscribeLedgers(user, setLedgers);
+  }, [user, repos]);
+
+  const joinedLedgers = useMemo(()=> ledgers.filter(l=> ledgerRole(l, uidLocal)).sort((a, b)=> (a.name || '').localeCompare(b.name || '')), [ledgers, uidLocal]);
+  const invitations = useMemo(()=> ledgers.filter(l=> !ledgerRole(l, uidLocal)), [ledgers, uidLocal]);
+  const activeLedger = uidLocal ? joinedLedgers.find(l=> l.id === activeLedgerId) || null : null; // null = personal books
+  const role = ledgerRole(activeLedger, uidLocal);
+  const scope = uidLocal ? ledgerScope(uidLocal, activeLedger && activeLedger.id) : null;
+
+  useEffect(()=>{ try{ writeJSON(ACTIVE_LEDGER_KEY, activeLedgerId); }catch(e){ } }, [activeLedgerId]);
+  // undo entries and drafts refer to the ledger they were made in
+  useEffect(()=>{ setUndoStack([]); setRuleSuggestion(null); }, [scope]);
+
+  // Fetch exchange rates periodically
+  useEffect(()=>{
+    fetchRates();
+    const id = setInterval(fetchRates, 1000*60*30); // every 30 minutes
+    return ()=>clearInterval(id);
+  },[]);
+
+  async function fetchRates(){
+    try{
+      const res = await fetch(EXCHANGE_API + '?base=USD');
+      const data = await res.json();
+      if(data && data.rates){ setRates(data.rates); setRateHistory(h=> ({ ...h, [todayISO()]: data.rates })); }
+    }catch(e){ console.warn('Failed to fetch exchange rates (using cached rates)', e); }
+  }
+
+  useEffect(()=>{ saveRateCache({ latest: rates, history: rateHistory }); }, [rates, rateHistory]);
+
+  const fx = useMemo(()=> createConverter(prefs.currency, rates, rateHistory), [prefs.currency, rates, rateHistory]);
+  const currencies = useMemo(()=> [...new Set([...COMMON_CURRENCIES, prefs.currency, ...Object.keys(rates)])].sort(), [rates, prefs.currency]);
+
+  // USD-based table for a past date: cache first, then the history endpoint, then the latest rates
+  async function ratesForDate(date){
+    if(!date || date >= todayISO()) return rates;
+    if(rateHistory[date]) return rateHistory[date];
+    try{
+      const res = await fetch(`${EXCHANGE_HISTORY_API}${date}?base=USD`);
+      const data = await res.json();
+      if(data && data.rates){ setRateHistory(h=> ({ ...h, [date]: data.rates })); return data.rates; }
+    }catch(e){ console.warn(`Failed to fetch exchange rates for ${date}`, e); }
+    return rates;
+  }
+
+  // stamp each transaction with the rate in effect on its date and that day's table for the currencies it may be shown in
+  async function withFxRates(list){
+    const dates = [...new Set(list.map(t=> t.date))];
+    const found = await Promise.all(dates.map(ratesForDate));
+    const tables = Object.fromEntries(dates.map((d, i)=> [d, found[i]]));
+    return list.map(t=>{
+      const table = tables[t.date] || rates; const currency = t.currency || prefs.currency;
+      const rate = usdRate(table, currency);
+      if(!rate) return t;
+      const keep = [...new Set([...COMMON_CURRENCIES, prefs.currency, currency])].filter(c=> c !== 'USD' && table[c]);
+      return { ...t, fxRate: rate, fxRates: Object.fromEntries(keep.map(c=> [c, table[c]])) };
+    });
+  }
+
+  // ---------- Sync ----------
+  // the sync engine reads the app through this ref, so it always sees the latest state
+  const syncContext = useRef(null);
+  syncContext.current = {
+    uid: uidLocal, scope, online, role, ledgerName: activeLedger ? activeLedger.name : '',
+    current: currentEntity, apply: applyLocal, notice: setNotice,
+    conflicts: found => setConflicts(prev => [...found, ...prev]),
+    pending: ops => setPendingCount(ops.length),
+    resync: target => { if(snapshotScope.current === target) Object.entries(storedDocs.current).forEach(([coll, stored])=> applySnapshot(coll, stored)); },
+  };
+  const sync = useMemo(()=> createSyncEngine(repos, ()=> syncContext.current), [repos]);
+  const persist = sync.persist;
+
+  // the open ledger's cloud data when signed in, otherwise whatever was saved on this device
+  useEffect(()=>{
+    storedDocs.current = {}; snapshotScope.current = scope; setLoadedScope(null);
+    if(!scope) return repos.device.subscribe(DEVICE_SCOPE, applySnapshot);
+    // read the queue first so the first snapshot already shows this device's offline changes
+    let unsub = null; let closed = false;
+    sync.refresh().then(()=> { if(!closed) unsub = repos.remote.subscribe(scope, applySnapshot); });
+    return ()=> { closed = true; if(unsub) unsub(); };
+  }, [scope, repos, sync]);
+  // display preferences always come from the user's own books
+  useEffect(()=>{
+    if(activeLedger) repos.remote.get(uidLocal, 'meta', 'prefs').then(p=> { if(p) setPrefs(prev=> ({ ...prev, ...p })); }).catch(()=>{});
+  }, [scope, repos]);
+
+  function applySnapshot(coll, stored){
+    storedDocs.current[coll] = stored;
+    if(COLLECTIONS.every(c=> storedDocs.current[c])) setLoadedScope(scope || DEVICE_SCOPE);
+    const docs = withPendingOps(stored, sync.pending(), scope, coll);
+    if(coll === 'transactions') setTransactions([...docs].sort((a, b)=> (b.date || '').localeCompare(a.date || '')));
+    else if(coll === 'goals') setGoals([...docs].sort((a, b)=> (a.deadline || '').localeCompare(b.deadline || '')));
+    else if(coll === 'investments') setInvestments(docs);
+    else if(coll === 'accounts') setAccounts([...docs].sort((a, b)=> (a.name || '').localeCompare(b.name || '')));
+    else if(coll === 'recurring') setRecurringRules(docs);
+    else if(coll === 'settlements') setSettlements(docs);
+    else if(coll === 'feedLogs') setFeedLogs([...docs].sort((a, b)=> (b.receivedAt || '').localeCompare(a.receivedAt || '')));
+    else if(coll === 'prices') setPrices(Object.fromEntries(docs.map(d=> [d.id, d.closes || {}])));
+    else if(coll === 'meta'){
+      const meta = Object.fromEntries(docs.map(({ id, ...data })=> [id, data]));
+      setBudgets(normalizeBudgets(meta.budgets || null));
+      if(meta.prefs && !activeLedger) setPrefs(p=> ({ ...p, ...meta.prefs }));
+      setImportProfiles(meta.importProfiles ? meta.importProfiles.profiles || [] : []);
+      setCategoryRules(meta.categoryRules ? meta.categoryRules.rules || [] : []);
+    }
+  }
+
+  // ---------- Local persistence & sync queue ----------
+  useEffect(()=>{
+    const up = ()=> setOnline(true); const down = ()=> setOnline(false);
+    window.addEventListener('online', up); window.addEventListener('offline', down);
+    return ()=>{ window.removeEventListener('online', up); window.removeEventListener('offline', down); };
+  },[]);
+
+  const LIST_SETTERS = { transactions: setTransactions, accounts: setAccounts, goals: setGoals, investments: setInvestments, recurring: setRecurringRules, settlements: setSettlements, feedLogs: setFeedLogs };
+
+  function currentEntity(coll, id){
+    if(coll === 'transactions') return transactions.find(x=> x.id === id);
+    if(coll === 'goals') return goals.find(x=> x.id === id);
+    if(coll === 'investments') return investments.find(x=> x.id === id);
+    if(coll === 'accounts') return accounts.find(x=> x.id === id);
+    if(coll === 'recurring') return recurringRules.find(x=> x.id === id);
+    if(coll === 'settlements') return settlements.find(x=> x.id === id);
+    if(coll === 'feedLogs') return feedLogs.find(x=> x.id === id);
+    if(coll === 'prices') return prices[id] ? { closes: prices[id] } : undefined;
+    if(coll === 'meta') return { budgets, prefs, importProfiles: { profiles: importProfiles }, categoryRules: { rules: categoryRules } }[id];
+  }
+
+  function applyLocal(coll, id, entity){
+    if(LIST_SETTERS[coll]) LIST_SETTERS[coll](prev => prev.some(x=> x.id === id) ? prev.map(x=> x.id === id ? { id, ...entity } : x) : [{ id, ...entity }, ...prev]);
+    else if(coll === 'prices') setPrices(prev => ({ ...prev, [id]: entity.closes || {} }));
+    else if(id === 'budgets') setBudgets(normalizeBudgets(entity));
+    else if(id === 'prefs') setPrefs(entity);
+    else if(id === 'importProfiles') setImportProfiles(entity.profiles || []);
+    else if(id === 'categoryRules') setCategoryRules(entity.rules || []);
+  }
+
+  useEffect(()=>{ if(uidLocal && online) sync.flush(); }, [uidLocal, online, sync]);
+  useEffect(()=>{ if(repos.remote) sync.refresh(); }, [repos, sync]);
+
+  // re-apply the losing side of a conflict
+  async function resolveConflict(conflict, keep){
+    const value = keep === 'local' ? conflict.local : conflict.cloud;
+    if(keep !== conflict.winner) await persist(conflict.coll, conflict.docId, { [conflict.field]: value }, { merge: true });
+    setConflicts(prev => prev.filter(c=> c.id !== conflict.id));
+  }
+
+  async function updatePrefs(patch){ await persist('meta', 'prefs', patch, { merge: true }); }
+
+  // ---------- Backup, restore & schema migrations ----------
+  // upgrade the open ledger's stored documents once they have all loaded (viewers leave it to an editor)
+  useEffect(()=>{ if(loadedScope) migrateStoredData(); }, [loadedScope]);
+
+  async function migrateStoredData(){
+    const stored = storedDocs.current;
+    const version = (stored.meta.find(d=> d.id === 'schema') || {}).version || 1;
+    if(version >= SCHEMA_VERSION || !canWrite(role)) return;
+    const { writes } = restorePlan(stored, migrateDataset(stored, version), 'merge');
+    await Promise.all(writes.map(w=> persist(w.coll, w.id, w.data)));
+    await persist('meta', 'schema', { version: SCHEMA_VERSION });
+  }
+
+  // every collection of the open ledger in its stored shape
+  function currentDataset(){
+    return {
+      ...emptyDataset(),
+      transactions, accounts, goals, investments, settlements, feedLogs,
+      recurring: recurringRules,
+      prices: Object.entries(prices).map(([id, closes])=> ({ id, closes })),
+      meta: ['budgets', 'prefs', 'importProfiles', 'categoryRules'].map(id=> ({ id, ...currentEntity('meta', id) })),
+    };
+  }
+
+  async function exportBackup(passphrase){
+    const backup = await createBackup(currentDataset(), { passphrase, label: activeLedger ? activeLedger.name : 'Personal' });
+    downloadFile(`finance-backup-${todayISO()}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  }
+
+  async function restoreBackup(plan){
+    if(!canWrite(role)){ setNotice(`You have view-only access to “${activeLedger.name}”.`); return; }
+    await Promise.all(plan.writes.map(w=> persist(w.coll, w.id, w.data, { merge: !!w.merge })));
+    await persist('meta', 'schema', { version: SCHEMA_VERSION });
+    setUndoStack([]);
+    setNotice(`Backup restored: ${plan.writes.length} document(s) written.`);
+  }
+
+  // ---------- Auth helpers ----------
+  async function loginWithGoogle(){
+    const provider = new GoogleAuthProvider();
+    try{ await signInWithPopup(repos.remote.auth(), provider); }catch(e){ console.error(e); }
+  }
+  async function logout(){ await signOut(repos.remote.auth()); }
+
+  // ---------- Shared ledger management ----------
+  async function saveLedger(ledger){
+    const { id, ...data } = ledger;
+    try{ await repos.remote.putLedger(id, data); }
+    catch(e){ console.warn('Failed to update ledger', e); setNotice(`Ledger not updated: ${e.code === 'permission-denied' ? 'you do not have permission' : e.message}.`); }
+  }
+
+  async function createSharedLedger(name){
+    const id = uid();
+    await saveLedger({ id, ...createLedger(name, user) });
+    setActiveLedgerId(id);
+  }
+
+  // member management is the owner's (firestore.rules enforces the same)
+  async function manageLedger(update){
+    if(!activeLedger || role !== 'owner'){ setNotice('Only the ledger owner can manage members.'); return; }
+    await saveLedger({ id: activeLedger.id, ...update(activeLedger) });
+  }
+  const inviteToLedger = (email, memberRole) => manageLedger(l=> inviteMember(l, email, memberRole));
+  const cancelInvite = email => manageLedger(l=> revokeInvite(l, email));
+  const changeMemberRole = (memberId, memberRole) => manageLedger(l=> setMemberRole(l, memberId, memberRole));
+  const removeLedgerMember = memberId => manageLedger(l=> removeMember(l, memberId));
+
+  async function answerInvite(ledger, accept){
+    const next = accept ? acceptInvite(ledger, user) : revokeInvite(ledger, user.email);
+    if(!next) return;
+    await saveLedger({ id: ledger.id, ...next });
+    if(accept) setActiveLedgerId(ledger.id);
+  }
+
+  async function leaveLedger(){
+    if(!activeLedger || role === 'owner') return;
+    const { id, ...ledger } = activeLedger;
+    setActiveLedgerId(PERSONAL_LEDGER);
+    await saveLedger({ id, ...removeMember(ledger, uidLocal) });
+  }
+
+  async function recordSettlement(settlement){ await persist('settlements', uid(), { ...settlement, createdAt: new Date().toISOString() }); }
+
+  // ---------- Transaction CRUD (with Firestore fallback) ----------
+  async function addTransaction(entry){
+    const input = autoCategorize(entry, categoryRules);
+    const locked = lockReason(null, input, activeAccounts);
+    if(locked){ setNotice(`Not added: ${locked}.`); return; }
+    // recurring entries become a schedule; the materializer creates this and every later occurrence
+    if(input.recurring && input.recurring.interval){
+      const { recurring, ...template } = input;
+      const { date, ...rest } = template;
+      await saveRecurringRule({ id: uid(), template: rest, schedule: { every: 1, monthDay: 'same', ...recurring, start: date }, exceptions: {}, materializedThrough: null });
+      return;
+    }
+    const [tx] = await withFxRates([input]);
+    await persist('transactions', uid(), { ...tx, createdAt: new Date().toISOString() });
+  }
+
+  async function updateTransaction(id, updates){
+    await persist('transactions', id, updates, { merge: true });
+  }
+
+  async function removeTransaction(id){
+    // soft delete so the removal can sync like any other field change
+    await persist('transactions', id, { deleted: true }, { merge: true });
+  }
+
+  // everything except the transaction manager's trash view works on these
+  const activeTransactions = useMemo(()=> transactions.filter(t=> !t.deleted), [transactions]);
+
+  // ---------- Transaction manager (undoable edits) ----------
+  // apply [{ id, updates }] as one step; the previous values of the touched fields go on the undo stack.
+  // Changes that would alter a reconciled transaction or period are left out.
+  async function changeTransactions(label, requested){
+    const refused = requested.map(({ id, updates })=> lockReason(transactions.find(t=> t.id === id), updates, activeAccounts)).filter(Boolean);
+    if(refused.length) setNotice(`${refused.length} change(s) skipped: ${refused[0]}${refused.length > 1 ? ', …' : ''}.`);
+    const changes = requested.filter(({ id, updates })=> !lockReason(transactions.find(t=> t.id === id), updates, activeAccounts));
+    if(!changes.length) return;
+    const before = changes.map(({ id, updates })=>{
+      const old = transactions.find(t=> t.id === id) || {};
+      return { id, updates: Object.fromEntries(Object.keys(updates).map(k=> [k, old[k] ?? null])) };
+    });
+    await Promise.all(changes.map(({ id, updates })=> updateTransaction(id, updates)));
+    setUndoStack(stack=> [{ label, changes: before }, ...stack].slice(0, UNDO_LIMIT));
+  }
+
+  async function undoLast(){
+    const [last, ...rest] = undoStack;
+    if(!last) return;
+    setUndoStack(rest);
+    const allowed = last.changes.filter(({ id, updates })=> !lockReason(transactions.find(t=> t.id === id), updates, activeAccounts));
+    if(allowed.length < last.changes.length) setNotice(`Undo skipped ${last.changes.length - allowed.length} reconciled transaction(s).`);
+    await Promise.all(allowed.map(({ id, updates })=> updateTransaction(id, updates)));
+  }
+
+  async function editTransaction(id, updates){
+    const old = transactions.find(t=> t.id === id);
+    if(!old) return;
+    let next = updates;
+    // a new date or currency needs the rate in effect for it
+    if((updates.date && updates.date !== old.date) || (updates.currency && updates.currency !== (old.currency || prefs.currency))){
+      const [stamped] = await withFxRates([{ ...old, ...updates }]);
+      next = { ...updates, fxRate: stamped.fxRate ?? null, fxRates: replaceFxRates(old.fxRates, stamped.fxRates) };
+    }
+    await changeTransactions('Edit', [{ id, updates: next }]);
+  }
+
+  async function bulkRecategorize(ids, category){
+    await changeTransactions(`Re-categorize ${ids.length}`, ids.map(id=> ({ id, updates: { category, ruleId: null } })));
+  }
+
+  async function deleteTransactions(ids){ await changeTransactions(`Delete ${ids.length}`, ids.map(id=> ({ id, updates: { deleted: true } }))); }
+
+  async function tagTransactions(ids, taxSection){ await changeTransactions(`Tax-tag ${ids.length}`, ids.map(id=> ({ id, updates: { taxSection: taxSection || null } }))); }
+
+  async function restoreTransactions(ids){ await changeTransactions(`Restore ${ids.length}`, ids.map(id=> ({ id, updates: { deleted: false } }))); }
+
+  // ---------- Accounts & reconciliation ----------
+  const activeAccounts = useMemo(()=> accounts.filter(a=> !a.deleted), [accounts]);
+
+  // converter into any currency (accounts keep balances in their own currency)
+  const converterFor = useMemo(()=>{
+    const cache = {};
+    return currency => cache[currency] = cache[currency] || createConverter(currency, rates, rateHistory);
+  }, [rates, rateHistory]);
+
+  async function saveAccount(account){
+    const { id, ...data } = account;
+    await persist('accounts', id || uid(), id ? data : { ...data, reconciliations: [], reconciledThrough: null, createdAt: new Date().toISOString() }, { merge: !!id });
+  }
+
+  async function removeAccount(id){ await persist('accounts', id, { deleted: true }, { merge: true }); }
+
+  // tick transactions off against a statement: stamps them reconciled on this account and locks it through `date`
+  async function reconcileAccount(account, date, balance, ids){
+    await Promise.all(transactions.filter(t=> ids.includes(t.id)).map(t=> updateTransaction(t.id, { reconciled: { ...reconciledMap(t), [account.id]: date } })));
+    await persist('accounts', account.id, { reconciliations: [...(account.reconciliations || []), { date, balance, at: new Date().toISOString() }], reconciledThrough: date }, { merge: true });
+  }
+
+  // undo the latest reconciliation (unlocks its transactions and period)
+  async function unlockReconciliation(account){
+    const history = account.reconciliations || [];
+    const last = history[history.length-1];
+    if(!last) return;
+    // null (not a missing key) so a merging write clears this account's entry and keeps the other side's
+    await Promise.all(transactions.filter(t=> reconciledIn(t, account.id) === last.date).map(t=> updateTransaction(t.id, { reconciled: { ...reconciledMap(t), [account.id]: null } })));
+    const rest = history.slice(0, -1);
+    await persist('accounts', account.id, { reconciliations: rest, reconciledThrough: rest.length ? rest[rest.length-1].date : null }, { merge: true });
+  }
+
+  // ---------- Recurring schedules ----------
+  async function saveRecurringRule(rule){ await persist('recurring', rule.id, rule); }
+
+  // schedules retired by a replacing restore stay stored (so legacy conversion does not bring them back)
+  const activeRecurring = useMemo(()=> recurringRules.filter(r=> !r.deleted), [recurringRules]);
+
+  // create every occurrence due up to today; deterministic ids keep a re-run from duplicating anything
+  async function materializeRecurring(){
+    if(!canWrite(role) || materializing.current) return;
+    materializing.current = true;
+    try{
+      const today = todayISO();
+      for(const rule of activeRecurring){
+        if(rule.materializedThrough && rule.materializedThrough >= today) continue;
+        const due = await withFxRates(dueOccurrences(rule, today));
+        await Promise.all(due.map(({ id, ...tx })=> persist('transactions', id, { ...tx, createdAt: new Date().toISOString() })));
+        await saveRecurringRule({ ...rule, materializedThrough: today });
+      }
+    }finally{
+      materializing.current = false;
+    }
+  }
+  // both wait for the open ledger to finish loading (and so for its schedules and the member's role)
+  const ledgerLoaded = loadedScope === (scope || DEVICE_SCOPE);
+  useEffect(()=>{ if(ledgerLoaded) materializeRecurring(); }, [ledgerLoaded, recurringRules, role]);
+
+  // convert instances left by the old one-shot scheduler into schedules
+  useEffect(()=>{
+    if(!ledgerLoaded) return;
+    legacyRecurringRules(transactions).filter(r=> !recurringRules.some(x=> x.id === r.id)).forEach(async rule=>{
+      if(!canWrite(role) || (scope && online && await repos.remote.get(scope, 'recurring', rule.id))) return;
+      saveRecurringRule(rule);
+    });
+  }, [ledgerLoaded, transactions, recurringRules, role, scope, online, repos]);
+
+  async function skipOccurrence(rule, occurrence, skip = true){
+    // overrides from editOccurrence stay, so an un-skipped occurrence comes back as it was edited
+    const { skip: _omit, ...kept } = (rule.exceptions || {})[occurrence] || {};
+    const next = { ...rule, exceptions: { ...(rule.exceptions || {}), [occurrence]: skip ? { ...kept, skip: true } : kept } };
+    await saveRecurringRule(next);
+    if(!rule.materializedThrough || occurrence > rule.materializedThrough) return;
+    const txId = `${rule.id}_${occurrence}`;
+    if(skip) await removeTransaction(txId);
+    // materialization has moved past it, so un-skipping brings the transaction back here: restored if it was created, created if not
+    else if(transactions.some(t=> t.id === txId)) await updateTransaction(txId, { deleted: false });
+    else{
+      const [{ id, ...tx }] = await withFxRates([occurrenceTxn(next, occurrence)]);
+      await persist('transactions', id, { ...tx, createdAt: new Date().toISOString() });
+    }
+  }
+
+  async function editOccurrence(rule, occurrence, overrides){
+    const exceptions = { ...(rule.exceptions || {}), [occurrence]: { overrides } };
+    await saveRecurringRule({ ...rule, exceptions });
+    if(rule.materializedThrough && occurrence <= rule.materializedThrough) await updateTransaction(`${rule.id}_${occurrence}`, overrides);
+  }
+
+  // stop a schedule from today on (past occurrences stay in the books)
+  async function endRecurringRule(rule){ await saveRecurringRule({ ...rule, schedule: { ...rule.schedule, endDate: todayISO() } }); }
+
+  // ---------- Categorization rules ----------
+  async function saveCategoryRules(rules){ await persist('meta', 'categoryRules', { rules }); }
+
+  async function upsertCategoryRule(rule){
+    const exists = categoryRules.some(r=> r.id === rule.id);
+    await saveCategoryRules(exists ? categoryRules.map(r=> r.id === rule.id ? rule : r) : [...categoryRules, rule]);
+  }
+
+  async function removeCategoryRule(id){ await saveCategoryRules(categoryRules.filter(r=> r.id !== id)); }
+
+  // move a rule up (-1) or down (+1) in priority
+  async function moveCategoryRule(id, delta){
+    const from = categoryRules.findIndex(r=> r.id === id);
+    const to = from + delta;
+    if(from < 0 || to < 0 || to >= categoryRules.length) return;
+    const next = [...categoryRules];
+    [next[from], next[to]] = [next[to], next[from]];
+    await saveCategoryRules(next);
+  }
+
+  async function applyRuleRetroactively(rule){
+    await changeTransactions(`Apply rule → ${rule.category}`, retroactiveMatches(rule, transactions).map(t=> ({ id: t.id, updates: { category: rule.category, ruleId: rule.id } })));
+  }
+
+  // manual re-categorization; offers to remember it as a (top-priority) rule
+  async function recategorize(tx, category){
+    if(!category || category === tx.category) return;
+    await changeTransactions('Re-categorize', [{ id: tx.id, updates: { category, ruleId: null } }]);
+    const rule = suggestRuleFromCorrection(tx, category);
+    const known = rule && categoryRules.some(r=> r.category === category && normalizePayee(r.pattern) === normalizePayee(rule.pattern));
+    setRuleSuggestion(rule && !known ? { rule, matches: retroactiveMatches(rule, transactions.filter(t=> t.id !== tx.id)).length } : null);
+  }
+
+  async function acceptRuleSuggestion(applyToPast){
+    const { rule } = ruleSuggestion;
+    setRuleSuggestion(null);
+    await saveCategoryRules([rule, ...categoryRules]);
+    if(applyToPast) await applyRuleRetroactively(rule);
+  }
+
+  const categories = useMemo(()=> [...new Set([...activeTransactions.map(t=> t.category), ...budgets.items.map(b=> b.category), ...categoryRules.map(r=> r.category)].filter(Boolean))].sort(), [activeTransactions, budgets, categoryRules]);
+
+  // ---------- Statement import ----------
+  async function importTransactions(input, accountId = null){
+    if(!input.length) return;
+    const target = accountId ? input.map(tx=> ({ ...tx, accountId })) : input;
+    const allowed = target.filter(tx=> !lockReason(null, tx, activeAccounts));
+    if(allowed.length < target.length) setNotice(`${target.length - allowed.length} imported row(s) skipped: ${lockReason(null, target.find(tx=> !allowed.includes(tx)), activeAccounts)}.`);
+    const list = await withFxRates(allowed);
+    const importedAt = todayISO();
+    const createdAt = new Date().toISOString();
+    await Promise.all(list.map(tx=> persist('transactions', uid(), { ...tx, importedAt, createdAt })));
+  }
+
+  async function saveImportProfile(profile){
+    const next = [...importProfiles.filter(p=> p.id !== profile.id), profile];
+    await persist('meta', 'importProfiles', { profiles: next });
+  }
+
+  // ---------- Budgets ----------
+  async function saveBudgets(next){ await persist('meta', 'budgets', next); }
+
+  async function upsertBudget(item){
+    const exists = budgets.items.some(b=> b.id === item.id);
+    const items = exists ? budgets.items.map(b=> b.id===item.id ? item : b) : [...budgets.items, item];
+    await saveBudgets({ currency: budgets.currency || prefs.currency, items });
+  }
+
+  async function removeBudget(id){ await saveBudgets({ ...budgets, items: budgets.items.filter(b=> b.id !== id) }); }
+
+  // ---------- Goals ----------
+  async function createGoal(goal){
+    await persist('goals', uid(), goal);
+  }
+
+  async function updateGoal(id, updates){
+    await persist('goals', id, updates, { merge: true });
+  }
+
+  async function removeGoal(id){
+    await persist('goals', id, { deleted: true }, { merge: true });
+    await Promise.all(transactions.filter(t=> t.goalId === id).map(t=> updateTransaction(t.id, { goalId: null })));
+  }
+
+  async function addContribution(goal, contribution){
+    await updateGoal(goal.id, { contributions: { ...contributionMap(goal), [uid()]: { currency: goal.currency || prefs.currency, ...contribution } } });
+  }
+
+  async function removeContribution(goal, contributionId){
+    await updateGoal(goal.id, { contributions: { ...contributionMap(goal), [contributionId]: null } });
+  }
+
+  // link (or with goalId=null unlink) a transaction as a contribution
+  async function linkTransactionToGoal(txId, goalId){ await updateTransaction(txId, { goalId }); }
+
+  const activeGoals = useMemo(()=> goals.filter(g=> !g.deleted), [goals]);
+
+  // ---------- Investments ----------
+  async function addInvestment(inv){ await persist('investments', uid(), inv); }
+
+  async function tagInvestment(id, taxSection){ await persist('investments', id, { taxSection: taxSection || null }, { merge: true }); }
+
+  async function removeInvestment(id){
+    await persist('investments', id, { deleted: true }, { merge: true });
+  }
+
+  // merge closing prices ({ symbol: { date: close } }) from the manual form or a price file
+  async function savePrices(update){
+    await Promise.all(Object.entries(update).map(([symbol, closes])=> persist('prices', symbol, { closes: { ...(prices[symbol] || {}), ...closes } }, { merge: true })));
+  }
+
+  const activeInvestments = useMemo(()=> investments.filter(i=> !i.deleted), [investments]);
+
+  // ---------- Financial year & tax settings ----------
+  const fyStartMonth = Number(prefs.fyStartMonth) || 1;
+  const taxSettings = useMemo(()=> ({ ...DEFAULT_TAX_SETTINGS, ...(prefs.tax || {}) }), [prefs.tax]);
+
+  // the year presets of reports move with the financial-year start
+  useEffect(()=>{ setReportPeriod(p=> p.preset === 'custom' ? p : { preset: p.preset, ...reportRange(p.preset, todayISO(), fyStartMonth) }); }, [fyStartMonth]);
+
+  // ---------- Cash-flow forecast ----------
+  const forecast = useMemo(()=> cashFlowForecast({ transactions: activeTransactions, accounts: activeAccounts, rules: activeRecurring, fx, months: forecastMonths }), [activeTransactions, activeAccounts, activeRecurring, fx, forecastMonths]);
+
+  // ---------- Insights (registered rules, see "Insights engine") ----------
+  // dismissals are per user (prefs), so they follow the user across ledgers & devices
+  const dismissedInsights = useMemo(()=> prefs.dismissedInsights || [], [prefs.dismissedInsights]);
+  const insights = useMemo(()=> runInsights({ transactions: activeTransactions, investments: activeInvestments, goals: activeGoals, forecast, fx, today: todayISO(), fyStartMonth, tax: taxSettings, lotMethod: prefs.lotMethod }, { dismissed: dismissedInsights }),
+    [activeTransactions, activeInvestments, activeGoals, forecast, fx, fyStartMonth, taxSettings, prefs.lotMethod, dismissedInsights]);
+
+  async function dismissInsight(id){ await updatePrefs({ dismissedInsights: [...dismissedInsights.filter(x=> x !== id), id].slice(-INSIGHT_DISMISS_LIMIT) }); }
+  async function restoreInsight(id){ await updatePrefs({ dismissedInsights: id ? dismissedInsights.filter(x=> x !== id) : [] }); }
+
+  // ---------- PDF & CSV Export ----------
+  // report exports use the same aggregation functions as the Reports charts, for the selected period
+  function exportPDF(){
+    const range = reportPeriod;
+    const totals = periodTotals(activeTransactions, fx, range);
+    const doc = new jsPDF();
+    doc.setFontSize(18); doc.text('Personal Finance Report', 14, 20);
+    doc.setFontSize(12); doc.text(`Generated: ${new Date().toLocaleString()}`, 14, 30);
+    doc.text(`Period: ${range.from || 'start'} to ${range.to || todayISO()}`, 14, 37);
+    let y = 47;
+    const line = (text, size = 10, step = 6) => { doc.setFontSize(size); doc.text(text, 14, y); y += step; if(y>270){ doc.addPage(); y=20; } };
+    line('Summary', 14, 8);
+    line(`Total income: ${fx.format(totals.income)}`, 11, 7);
+    line(`Total expense: ${fx.format(totals.expense)}`, 11, 7);
+    line(`Net: ${fx.format(totals.net)}`, 11, 12);
+    line('Monthly income vs expense', 12, 8);
+    monthlyTotals(activeTransactions, fx, range).forEach(m=> line(`${m.month} | income ${fx.format(m.income)} | expense ${fx.format(m.expense)} | net ${fx.format(m.net)}`));
+    y += 6;
+    line('Spending by category', 12, 8);
+    categoryBreakdown(activeTransactions, fx, range).forEach(c=> line(`${c.category} | ${fx.format(c.amount)} | ${Math.round(c.share*100)}% | ${c.count} txn(s)`));
+    y += 6;
+    line('Recent transactions', 12, 8);
+    activeTransactions.filter(t=> inRange(t.date, range)).slice(0,20).forEach(t=> line(`${t.date} | ${t.type} | ${t.category} | ${formatAmount(t.amount, t.currency||prefs.currency)} | ${t.note || ''}`));
+    doc.save('finance-report.pdf');
+  }
+
+  function exportCSV(){
+    const accountName = id => (accounts.find(a=> a.id === id) || {}).name || '';
+    const header = ['id','type','amount','currency','fxRate',`amount_${prefs.currency}`,'category','splits','account','toAccount','note','date','reconciled','recurring','taxSection'];
+    const rows = activeTransactions.map(t=> [t.id,t.type,t.amount,t.currency||prefs.currency,t.fxRate||'',round2(fx.tx(t)),t.category,(t.splits||[]).map(p=> `${p.category}:${p.amount}`).join('; '),accountName(t.accountId),accountName(t.toAccountId),t.note||'',t.date,Object.entries(reconciledMap(t)).map(([id, d])=> `${accountName(id)}:${d}`).join('; '),t.recurringId||'',t.taxSection||'']);
+    downloadFile('transactions.csv', toCSV([header, ...rows]), 'text/csv');
+  }
+
+  function exportReportCSV(){
+    const range = reportPeriod;
+    const mom = monthOverMonth(activeTransactions, fx, range);
+    const rows = [
+      ['Monthly totals', `(${prefs.currency})`], ['month','income','expense','net'],
+      ...monthlyTotals(activeTransactions, fx, range).map(m=> [m.month, round2(m.income), round2(m.expense), round2(m.net)]),
+      [], ['Spending by category'], ['category','amount','share','count'],
+      ...categoryBreakdown(activeTransactions, fx, range).map(c=> [c.category, round2(c.amount), round2(c.share), c.count]),
+      [], ['Month over month (spending)'], ['category', ...mom.months, 'change'],
+      ...mom.rows.map(r=> [r.category, ...r.values.map(round2), round2(r.change)]),
+      [], ['Net worth'], ['month','cash','investments','net worth'],
+      ...netWorthSeries(activeTransactions, activeInvestments, prices, fx, range, prefs.lotMethod, activeAccounts).map(n=> [n.month, round2(n.cash), round2(n.investments), round2(n.netWorth)]),
+    ];
+    downloadFile(`report-${range.from || 'start'}-${range.to || todayISO()}.csv`, toCSV(rows), 'text/csv');
+  }
+
+  // ---------- Tax summary ----------
+  const taxFY = financialYear(taxYear, fyStartMonth);
+  const taxReport = useMemo(()=> taxSummary({ transactions: activeTransactions, investments: activeInvestments, fx, fy: taxFY, settings: taxSettings, method: prefs.lotMethod }),
+    [activeTransactions, activeInvestments, fx, taxFY.start, taxSettings, prefs.lotMethod]);
+  // financial years from the first transaction or investment to the current one, newest first
+  const taxYears = useMemo(()=>{
+    const dates = [...activeTransactions.map(t=> t.date), ...activeInvestments.map(e=> normalizeLedgerEntry(e).date)].filter(Boolean).sort();
+    const out = [];
+    for(let fy = financialYear(todayISO(), fyStartMonth); out.length < 50; fy = financialYear(addDaysISO(fy.start, -1), fyStartMonth)){
+      out.push(fy);
+      if(!dates.length || fy.start <= dates[0]) break;
+    }
+    return out;
+  }, [activeTransactions, activeInvestments, fyStartMonth]);
+
+  async function updateTaxSettings(patch){ await updatePrefs({ tax: { ...taxSettings, ...patch } }); }
+
+  function exportTaxCSV(){
+    const { fy, sections, gains, entries } = taxReport;
+    const rows = [
+      ['Tax summary', fy.label, `${fy.start} to ${fy.end}`, `(${prefs.currency})`],
+      ['section','description','cap','claimed','allowed','remaining'],
+      ...sections.map(x=> [x.id, x.label, x.cap === null ? '' : round2(x.cap), round2(x.total), x.paidOnly ? 'paid only' : round2(x.allowed), x.remaining === null ? '' : round2(x.remaining)]),
+      ['Deductions within caps', '', '', '', round2(taxReport.deductions)],
+      [`Paid under ${PAID_ONLY_SECTIONS} (not in the total)`, '', '', round2(taxReport.paid)],
+      [], ['Capital gains'], ['term','symbol','acquired','sold','quantity','cost','proceeds','gain'],
+      ...gains.rows.map(r=> [r.term, r.symbol, r.acquired, r.sold, r.quantity ?? '', r.cost === null ? '' : round2(r.cost), r.proceeds === null ? '' : round2(r.proceeds), round2(r.gain)]),
+      ['Short-term total', '', '', '', '', '', '', round2(gains.short)],
+      ['Long-term total', '', '', '', '', '', '', round2(gains.long)],
+      ['Long-term exemption', '', '', '', '', '', '', round2(gains.exemption)],
+      ['Taxable long-term', '', '', '', '', '', '', round2(gains.taxableLong)],
+      [], ['Tagged entries'], ['section','date','source','description','amount'],
+      ...entries.map(e=> [e.section, e.date, e.source, e.description, round2(e.amount)]),
+    ];
+    downloadFile(`tax-summary-${fy.label.replace(/\s+/g, '-')}.csv`, toCSV(rows), 'text/csv');
+  }
+
+  function exportTaxPDF(){
+    const { fy, sections, gains } = taxReport;
+    const doc = new jsPDF();
+    doc.setFontSize(18); doc.text(`Tax Summary ${fy.label}`, 14, 20);
+    doc.setFontSize(12); doc.text(`Generated: ${new Date().toLocaleString()}`, 14, 30);
+    doc.text(`Financial year: ${fy.start} to ${fy.end} • amounts in ${prefs.currency}`, 14, 37);
+    let y = 47;
+    const line = (text, size = 10, step = 6) => { doc.setFontSize(size); doc.text(text, 14, y); y += step; if(y>270){ doc.addPage(); y=20; } };
+    line('Deductions & exemptions', 14, 8);
+    sections.forEach(x=> line(`${x.id} | ${fx.format(x.total)}${x.paidOnly ? ' paid (not in the total)' : x.cap === null ? '' : ` of ${fx.format(x.cap)} cap | allowed ${fx.format(x.allowed)}`} | ${x.items.length} entr${x.items.length === 1 ? 'y' : 'ies'}`));
+    line(`Deductions within caps: ${fx.format(taxReport.deductions)}`, 11, 7);
+    line(`Paid under ${PAID_ONLY_SECTIONS}: ${fx.format(taxReport.paid)} (allowable amount depends on salary / donee, not in the total)`, 10, 12);
+    line('Capital gains', 14, 8);
+    line(`Short-term: ${fx.format(gains.short)}`, 11, 7);
+    line(`Long-term: ${fx.format(gains.long)} (exempt ${fx.format(gains.exemption)}, taxable ${fx.format(gains.taxableLong)})`, 11, 10);
+    gains.rows.forEach(r=> line(`${r.term === 'long' ? 'LT' : 'ST'} | ${r.symbol} | ${r.acquired || '—'} → ${r.sold}${r.quantity === null ? '' : ` | ${Number(r.quantity.toFixed(4))} units | cost ${fx.format(r.cost)} | proceeds ${fx.format(r.proceeds)}`} | gain ${fx.format(r.gain)}`));
+    y += 6;
+    line('Tagged entries', 12, 8);
+    taxReport.entries.forEach(e=> line(`${e.date} | ${e.section} | ${e.description} | ${fx.format(e.amount)}`));
+    doc.save(`tax-summary-${fy.label.replace(/\s+/g, '-')}.pdf`);
+  }
+
+  // show the transactions behind a chart element in the transaction manager
+  function drillDown(patch){
+    setTxnFilter({ ...EMPTY_TXN_FILTER, from: reportPeriod.from, to: reportPeriod.to, ...patch });
+    if(txnCard.current) txnCard.current.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  // ---------- Notifications (browser, with the in-app center as fallback) ----------
+  const notificationSettings = useMemo(()=> ({ ...DEFAULT_NOTIFICATION_SETTINGS, ...prefs.notifications }), [prefs.notifications]);
+  const notificationLogKey = `${NOTIFICATION_LOG_KEY}:${scope || DEVICE_SCOPE}`;
+
+  useEffect(()=>{ setNotifications(readJSON(notificationLogKey, [])); }, [notificationLogKey]);
+
+  function saveNotifications(next){
+    const kept = next.slice(0, NOTIFICATION_LOG_LIMIT);
+    setNotifications(kept);
+    try{ writeJSON(notificationLogKey, kept); }catch(e){ console.warn('Failed to save notifications', e); }
+  }
+
+  function deliver(n){
+    if(permission !== 'granted') return 'in-app';
+    try{ new Notification(n.title, { body: n.body, tag: n.key }); return 'browser'; }catch(e){ return 'in-app'; }
+  }
+
+  // raise what is due (once per key) and deliver anything held back by quiet hours; waits for the whole ledger to load
+  function runNotifications(){
+    if(!prefs.alerts || !loadedScope) return;
+    const log = readJSON(notificationLogKey, []); // re-read: the stored log is the source of truth between runs
+    const fresh = dueNotifications({ plan: budgets, transactions: activeTransactions, rules: activeRecurring, goals: activeGoals, fx, settings: notificationSettings, sent: new Set(log.map(n=> n.key)) });
+    const quiet = inQuietHours(notificationSettings);
+    if(!fresh.length && (quiet || log.every(n=> n.delivered))) return;
+    const dayAgo = new Date(Date.now() - DAY_MS).toISOString();
+    const next = [...fresh.map(n=> ({ ...n, id: uid(), at: new Date().toISOString(), read: false, delivered: false })), ...log]
+      .map(n=> n.delivered || quiet ? n : { ...n, delivered: n.at >= dayAgo ? deliver(n) : 'in-app' });
+    saveNotifications(next);
+  }
+
+  useEffect(()=>{
+    runNotifications();
+    const id = setInterval(runNotifications, NOTIFY_INTERVAL_MS);
+    return ()=> clearInterval(id);
+  }, [loadedScope, activeTransactions, budgets, activeRecurring, activeGoals, fx, prefs.alerts, notificationSettings, permission, notificationLogKey]);
+
+  // permission is asked for when alerts are switched on (browsers only allow it from a user action)
+  async function setAlerts(on){
+    await updatePrefs({ alerts: on });
+    if(on && permission === 'default') setPermission(await Notification.requestPermission());
+  }
+  async function askPermission(){ if(permission === 'default') setPermission(await Notification.requestPermission()); }
+  async function updateNotificationSettings(patch){ await updatePrefs({ notifications: { ...notificationSettings, ...patch } }); }
+  const markNotificationsRead = () => saveNotifications(notifications.map(n=> ({ ...n, read: true })));
+  // cleared entries stay in the log (hidden) so their keys are not raised again
+  const clearNotifications = () => saveNotifications(notifications.map(n=> ({ ...n, read: true, cleared: true })));
+
+  // ---------- Bank feed ingestion ----------
+  // In production an aggregator (Plaid/SaltEdge) delivers to a server endpoint; here a signed batch is pasted or
+  // uploaded (see "Bank feed ingestion" for the format). Every delivery, rejected ones included, is logged.
+  function saveFeedSecret(secret){
+    setFeedSecret(secret);
+    try{ writeJSON(FEED_SECRET_KEY, secret); }catch(e){ console.warn('Failed to save the feed secret', e); }
+  }
+
+  async function ingestBankFeed(body, signature){
+    const log = { receivedAt: new Date().toISOString(), provider: null, batchId: null, sentAt: null, verified: false, counts: {}, errors: [] };
+    const finish = async extra => { const entry = { ...log, ...extra }; await persist('feedLogs', uid(), entry); return entry; };
+    if(!canWrite(role)) return { ...log, errors: [{ message: 'You have view-only access to this ledger' }] };
+    if(!feedSecret) return finish({ errors: [{ message: 'No feed secret is set on this device: batch rejected' }] });
+    if(!await verifySignature(body, signature, feedSecret)) return finish({ errors: [{ message: 'Signature does not match the body: batch rejected' }] });
+    let payload = null;
+    try{ payload = JSON.parse(body); }catch(e){ return finish({ verified: true, errors: [{ message: 'Body is not valid JSON' }] }); }
+    const head = { verified: true, provider: payload.provider || 'bank', batchId: payload.batchId || null, sentAt: payload.sentAt || null, replay: !!payload.batchId && feedLogs.some(l=> l.verified && l.batchId === payload.batchId) };
+    const { writes, results } = planFeedBatch(payload, transactions, { rules: categoryRules, currency: prefs.currency, accounts: activeAccounts });
+    const rated = await withFxRates(writes.map(w=> w.data));
+    // one write at a time so each failure is attributed to its item
+    for(const [i, w] of writes.entries()){
+      const pending = w.merge ? transactions.find(t=> t.id === w.id) : null;
+      try{ await persist('transactions', w.id, w.merge ? { ...rated[i], fxRates: replaceFxRates(pending && pending.fxRates, rated[i].fxRates) } : { ...rated[i], createdAt: new Date().toISOString() }, { merge: !!w.merge }); }
+      catch(e){ Object.assign(results.find(r=> r.write === i), { action: 'failed', message: e.message || String(e) }); }
+    }
+    return finish({ ...head, counts: countFeedResults(results), errors: results.filter(r=> r.action === 'failed').map(({ index, externalId, message })=> ({ index, externalId, message })) });
+  }
+
+  // ---------- Simple UI (very basic) ----------
+  return (
+    <div className={`min-h-screen p-6 ${prefs.theme==='dark'? 'bg-slate-900 text-white':'bg-gray-50 text-slate-900'}`}>
+      <header className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Advanced Personal Finance</h1>
+          <div className="text-sm text-muted">Cloud-sync, recurring txns, goals, investments, multi-currency</div>
+        </div>
+        <div className="flex items-center gap-3">
+          <select value={prefs.currency} onChange={(e)=> updatePrefs({ currency: e.target.value })}>
+            {currencies.map(c=> <option key={c} value={c}>{c}</option>)}
+          </select>
+          <button onClick={()=> updatePrefs({ theme: prefs.theme==='dark'?'light':'dark' })}>{prefs.theme==='dark'?'Light':'Dark'}</button>
+          <button title="Notifications" onClick={()=> notificationCard.current && notificationCard.current.scrollIntoView({ behavior: 'smooth' })}>🔔 {notifications.filter(n=> !n.read && !n.cleared).length || ''}</button>
+          {!repos.remote ? (
+            <span className="text-sm text-gray-500">Saved on this device</span>
+          ) : user ? (
+            <>
+              <select value={activeLedger ? activeLedger.id : PERSONAL_LEDGER} onChange={(e)=> setActiveLedgerId(e.target.value)} title="Ledger">
+                <option value={PERSONAL_LEDGER}>Personal</option>
+                {joinedLedgers.map(l=> <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+              {role === 'viewer' && <span className="text-xs text-gray-500">View only</span>}
+              <span className="text-sm">{user.displayName || user.email}</span>
+              <button onClick={logout}>Sign out</button>
+            </>
+          ) : (
+            <>
+              <button onClick={loginWithGoogle}>Sign in with Google</button>
+            </>
+          )}
+        </div>
+      </header>
+
+      {notice && (
+        <div className="mb-4 p-2 rounded bg-yellow-100 text-yellow-800 text-sm flex justify-between">
+          <span>{notice}</span>
+          <button onClick={()=> setNotice(null)}>Dismiss</button>
+        </div>
+      )}
+
+      <main className="grid md:grid-cols-3 gap-4">
+        <section className="md:col-span-2 space-y-4">
+          {/* Add transactions form (simplified) */}
+          <AddTxnForm onAdd={addTransaction} defaultCurrency={prefs.currency} currencies={currencies} accounts={activeAccounts} />
+          {/* suggestions for every category input (AddTxnForm, CategoryPicker, CategoryRulesPanel) */}
+          <datalist id="category-options">{categories.map(c=> <option key={c} value={c} />)}</datalist>
+
+          {/* Accounts */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Accounts</h3>
+            <AccountsPanel accounts={activeAccounts} transactions={activeTransactions} currencies={currencies} converterFor={converterFor} onSave={saveAccount} onRemove={removeAccount} onReconcile={reconcileAccount} onUnlock={unlockReconciliation} prefs={prefs} fx={fx} />
+          </div>
+
+          {/* Statement import */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Import statement (CSV / OFX / QIF)</h3>
+            <ImportPanel existing={activeTransactions} profiles={importProfiles} rules={categoryRules} accounts={activeAccounts} onSaveProfile={saveImportProfile} onImport={importTransactions} prefs={prefs} fx={fx} />
+          </div>
+
+          {/* Bank feed */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Bank feed</h3>
+            <BankFeedPanel secret={feedSecret} onSecret={saveFeedSecret} logs={feedLogs} onIngest={ingestBankFeed} />
+          </div>
+
+          {/* Auto-categorization rules */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Categorization rules</h3>
+            <CategoryRulesPanel rules={categoryRules} transactions={activeTransactions} accounts={activeAccounts} onSave={upsertCategoryRule} onRemove={removeCategoryRule} onMove={moveCategoryRule} onApply={applyRuleRetroactively} />
+          </div>
+
+          {/* Transactions */}
+          <div ref={txnCard} className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Transactions</h3>
+            <TransactionManager transactions={transactions} filter={txnFilter} onFilter={setTxnFilter} categories={categories} currencies={currencies} accounts={activeAccounts} members={activeLedger ? activeLedger.names || {} : null} onEdit={editTransaction} onCorrect={recategorize} onRecategorize={bulkRecategorize} onTag={tagTransactions} onDelete={deleteTransactions} onRestore={restoreTransactions} undo={undoStack[0] || null} onUndo={undoLast} prefs={prefs} fx={fx} />
+            {ruleSuggestion && (
+              <div className="mt-2 p-2 border rounded text-sm flex flex-wrap items-center gap-2">
+                <span>Always categorize “{ruleSuggestion.rule.pattern}” as {ruleSuggestion.rule.category}?</span>
+                <button onClick={()=> acceptRuleSuggestion(false)}>Create rule</button>
+                {ruleSuggestion.matches > 0 && <button onClick={()=> acceptRuleSuggestion(true)}>Create rule & re-categorize {ruleSuggestion.matches} past transaction(s)</button>}
+                <button onClick={()=> setRuleSuggestion(null)}>Dismiss</button>
+              </div>
+            )}
+            <div className="mt-3 flex gap-2">
+              <button onClick={exportCSV}>Export CSV</button>
+              <button onClick={exportPDF}>Export PDF</button>
+            </div>
+          </div>
+
+          {/* Upcoming bills */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Upcoming bills (next 30 days)</h3>
+            <UpcomingBills rules={activeRecurring} onSkip={skipOccurrence} onEdit={editOccurrence} onEnd={endRecurringRule} prefs={prefs} />
+          </div>
+
+          {/* Reports */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Reports</h3>
+            <ReportsPanel period={reportPeriod} onPeriod={setReportPeriod} transactions={activeTransactions} accounts={activeAccounts} investments={activeInvestments} prices={prices} prefs={prefs} fx={fx} onDrill={drillDown} onExportPDF={exportPDF} onExportCSV={exportReportCSV} />
+          </div>
+
+          {/* Tax summary */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Tax summary</h3>
+            <TaxPanel report={taxReport} years={taxYears} onYear={setTaxYear} fyStartMonth={fyStartMonth} settings={taxSettings} onFyStart={m=> updatePrefs({ fyStartMonth: m })} onSettings={updateTaxSettings} onDrill={drillDown} onExportPDF={exportTaxPDF} onExportCSV={exportTaxCSV} fx={fx} />
+          </div>
+
+          {/* Cash-flow forecast */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Cash-flow forecast</h3>
+            <ForecastPanel forecast={forecast} months={forecastMonths} onMonths={setForecastMonths} fx={fx} />
+          </div>
+
+          {/* Budgets */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Budgets</h3>
+            <BudgetPanel budgets={budgets} transactions={activeTransactions} onSave={upsertBudget} onRemove={removeBudget} prefs={prefs} fx={fx} />
+          </div>
+
+          {/* Investments & Net worth */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Investments (manual)</h3>
+            <InvestmentPanel investments={activeInvestments} prices={prices} onAdd={addInvestment} onTag={tagInvestment} onRemove={removeInvestment} onSavePrices={savePrices} prefs={prefs} onPrefs={updatePrefs} fx={fx} />
+          </div>
+
+        </section>
+
+        <aside className="space-y-4">
+          {/* Sync status & conflicts */}
+          {(!online || pendingCount > 0 || conflicts.length > 0) && (
+            <div className="bg-white rounded shadow p-4">
+              <h3 className="font-semibold">Sync</h3>
+              <SyncPanel online={online} signedIn={!!user} pendingCount={pendingCount} conflicts={conflicts} onResolve={resolveConflict} />
+            </div>
+          )}
+
+          {/* Notifications */}
+          <div ref={notificationCard} className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Notifications</h3>
+            <NotificationCenter notifications={notifications} enabled={!!prefs.alerts} permission={permission} settings={notificationSettings} onEnable={setAlerts} onAskPermission={askPermission} onSettings={updateNotificationSettings} onRead={markNotificationsRead} onClear={clearNotifications} />
+          </div>
+
+          {/* Backup & restore */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Backup & restore</h3>
+            <BackupPanel current={currentDataset} canRestore={canWrite(role)} onExport={exportBackup} onRestore={restoreBackup} />
+          </div>
+
+          {/* Shared household ledgers */}
+          {repos.remote && user && (
+            <div className="bg-white rounded shadow p-4">
+              <h3 className="font-semibold">Household ledgers</h3>
+              <LedgersPanel user={user} ledger={activeLedger} role={role} invitations={invitations} transactions={activeTransactions} settlements={settlements} onCreate={createSharedLedger} onInvite={inviteToLedger} onCancelInvite={cancelInvite} onRole={changeMemberRole} onRemoveMember={removeLedgerMember} onLeave={leaveLedger} onAnswer={answerInvite} onSettle={recordSettlement} prefs={prefs} fx={fx} />
+            </div>
+          )}
+
+          {/* KPIs */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Summary</h3>
+            <Summary transactions={activeTransactions} period={reportPeriod} prefs={prefs} budgets={budgets} goals={activeGoals} fx={fx} />
+          </div>
+
+          {/* Goals */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Goals</h3>
+            <GoalPanel goals={activeGoals} transactions={activeTransactions} onCreate={createGoal} onUpdate={updateGoal} onRemove={removeGoal} onContribute={addContribution} onRemoveContribution={removeContribution} onLink={linkTransactionToGoal} prefs={prefs} fx={fx} />
+          </div>
+
+          {/* Insights */}
+          <div className="bg-white rounded shadow p-4">
+            <h3 className="font-semibold">Insights</h3>
+            <InsightsPanel insights={insights} onDismiss={dismissInsight} onRestore={restoreInsight} />
+          </div>
+        </aside>
+      </main>
+
+      <footer className="mt-8 text-center text-xs text-muted">This is a starter implementation — wire up real API keys (Firebase, exchange rates, bank aggregator) to enable full features.</footer>
+    </div>
+  );
+}
+
+// ---------- Small subcomponents (embedded to keep single-file) ----------
+
+function AddTxnForm({ onAdd, defaultCurrency, currencies, accounts }){
+  const [type, setType] = useState('expense');
+  const [accountId, setAccountId] = useState('');
+  const [toAccountId, setToAccountId] = useState('');
+  const [toAmount, setToAmount] = useState(''); // received amount, only for cross-currency transfers
+  const [splits, setSplits] = useState(null); // [{ id, category, amount }] when splitting across categories
+  const [amount, setAmount] = useState('');
+  const [category, setCategory] = useState(''); // empty = categorize by rules
+  const [date, setDate] = useState(todayISO());
+  const [note, setNote] = useState('');
+  const [taxSection, setTaxSection] = useState('');
+  const [currency, setCurrency] = useState(defaultCurrency);
+  const [recurring, setRecurring] = useState({ enabled:false, interval:'monthly', every:1, monthDay:'same', endDate:'' });
+
+  const transfer = type === 'transfer';
+  const crossCurrency = transfer && toAccountId && (accounts.find(a=> a.id === toAccountId) || {}).currency !== currency;
+
+  function submit(e){
+    e.preventDefault();
+    if(!amount) return;
+    if(transfer && (!accountId || !toAccountId || accountId === toAccountId)) return;
+    const split = !transfer && splits && splits.length ? splits.filter(p=> p.category && Number(p.amount)) : null;
+    if(split && Math.abs(splitRemainder(amount, split)) > 0.005) return;
+    onAdd({
+      type, amount: Number(amount), date, note, currency,
+      category: transfer ? 'Transfer' : split ? SPLIT_CATEGORY : category.trim() || null,
+      ...(accountId ? { accountId } : {}),
+      ...(transfer ? { toAccountId, ...(crossCurrency && toAmount ? { toAmount: Number(toAmount) } : {}) } : {}),
+      ...(split ? { splits: split.map(p=> ({ ...p, amount: Number(p.amount) })) } : {}),
+      ...(!transfer && taxSection ? { taxSection } : {}),
+      recurring: recurring.enabled? { interval: recurring.interval, every: Math.max(1, Number(recurring.every) || 1), monthDay: recurring.interval==='monthly' ? recurring.monthDay : 'same', endDate: recurring.endDate || null } : null,
+    });
+    setAmount(''); setNote(''); setToAmount(''); setSplits(null); setTaxSection('');
+  }
+
+  // a new account defaults the currency to the account's
+  function pickAccount(id){ setAccountId(id); const acc = accounts.find(a=> a.id === id); if(acc && acc.currency) setCurrency(acc.currency); }
+
+  return (
+    <form onSubmit={submit} className="bg-white rounded shadow p-4 mb-4">
+      <div className="grid grid-cols-3 gap-2">
+        <select value={type} onChange={e=>setType(e.target.value)}>
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+          <option value="transfer">Transfer / card payment</option>
+        </select>
+        <div className="flex gap-1">
+          <input placeholder="Amount" value={amount} onChange={e=>setAmount(e.target.value)} />
+          <select value={currency} onChange={e=>setCurrency(e.target.value)}>
+            {currencies.map(c=> <option key={c} value={c}>{c}</option>)}
+          </select>
+        </div>
+        <input type="date" value={date} onChange={e=>setDate(e.target.value)} />
+      </div>
+      <div className="grid grid-cols-3 gap-2 mt-2">
+        <select value={accountId} onChange={e=>pickAccount(e.target.value)}>
+          <option value="">{transfer ? 'From account…' : 'No account'}</option>
+          {accounts.map(a=> <option key={a.id} value={a.id}>{a.name}</option>)}
+        </select>
+        {transfer ? (
+          <div className="flex gap-1">
+            <select value={toAccountId} onChange={e=>setToAccountId(e.target.value)}>
+              <option value="">To account…</option>
+              {accounts.filter(a=> a.id !== accountId).map(a=> <option key={a.id} value={a.id}>{a.name}</option>)}
+            </select>
+            {crossCurrency && <input placeholder={`Received (${(accounts.find(a=> a.id === toAccountId) || {}).currency})`} value={toAmount} onChange={e=>setToAmount(e.target.value)} />}
+          </div>
+        ) : (
+          <div className="flex gap-1">
+            {splits ? <span className="text-sm">Split across categories</span> : <input placeholder="Category (auto)" list="category-options" value={category} onChange={e=>setCategory(e.target.value)} />}
+            <button type="button" onClick={()=> setSplits(splits ? null : [{ id: uid(), category: category.trim(), amount: amount }, { id: uid(), category: '', amount: '' }])}>{splits ? 'Unsplit' : 'Split'}</button>
+          </div>
+        )}
+      </div>
+      {splits && !transfer && <SplitEditor amount={amount} splits={splits} onChange={setSplits} currency={currency} />}
+      <div className="grid grid-cols-3 gap-2 mt-2">
+        <div className="flex gap-1">
+          <input placeholder="Note" value={note} onChange={e=>setNote(e.target.value)} />
+          {!transfer && <TaxSectionPicker value={taxSection} onChange={setTaxSection} />}
+        </div>
+        <div>
+          <label><input type="checkbox" checked={recurring.enabled} onChange={e=>setRecurring(r=>({...r, enabled: e.target.checked}))} /> Recurring</label>
+          {recurring.enabled && (
+            <div className="mt-1">
+              <label>Every <input type="number" min="1" className="w-12" value={recurring.every} onChange={e=>setRecurring(r=>({...r, every: e.target.value}))} /></label>
+              <select value={recurring.interval} onChange={e=>setRecurring(r=>({...r, interval: e.target.value}))}>
+                <option value="daily">Day(s)</option>
+                <option value="weekly">Week(s)</option>
+                <option value="monthly">Month(s)</option>
+                <option value="yearly">Year(s)</option>
+              </select>
+              {recurring.interval==='monthly' && (
+                <select value={recurring.monthDay} onChange={e=>setRecurring(r=>({...r, monthDay: e.target.value}))}>
+                  <option value="same">Same day (clamped to month end)</option>
+                  <option value="last-business-day">Last business day</option>
+                </select>
+              )}
+              <input type="date" value={recurring.endDate} onChange={e=>setRecurring(r=>({...r, endDate: e.target.value}))} />
+            </div>
+          )}
+        </div>
+      </div>
+      <div className="mt-3">
+        <button type="submit">Add</button>
+      </div>
+    </form>
+  );
+}
+
+function ImportPanel({ existing, profiles, rules, accounts, onSaveProfile, onImport, prefs, fx }){
+  const [fileName, setFileName] = useState('');
+  const [accountId, setAccountId] = useState('');
+  const [format, setFormat] = useState(null); // 'csv' | 'ofx' | 'qif'
+  const [text, setText] = useState('');
+  const [profile, setProfile] = useState(null);
+  const [included, setIncluded] = useState([]);
+  const [status, setStatus] = useState('');
+
+  const rows = useMemo(()=> format==='csv' && profile ? parseCSV(text, profile.delimiter) : [], [format, text, profile?.delimiter]);
+  const header = profile?.hasHeader ? (rows[0] || []) : (rows[0] || []).map((_,i)=> `Column ${i+1}`);
+
+  const preview = useMemo(()=>{
+    if(!format) return [];
+    const candidates = format==='csv' ? (profile ? mapCSVRows(rows, profile) : []) : format==='ofx' ? parseOFX(text) : parseQIF(text);
+    return buildImportPreview(candidates, existing, prefs.currency, rules, accountId || null);
+  }, [format, text, rows, profile, existing, prefs.currency, rules, accountId]);
+
+  // duplicates and unparseable rows start unticked
+  useEffect(()=>{ setIncluded(preview.map(p=> !p.error && !p.duplicate)); }, [preview]);
+
+  async function onFile(e){
+    const file = e.target.files?.[0];
+    if(!file) return;
+    const content = await file.text();
+    const fmt = detectImportFormat(file.name, content);
+    setFileName(file.name); setText(content); setFormat(fmt); setStatus('');
+    if(fmt !== 'csv'){ setProfile(null); return; }
+    const delimiter = detectDelimiter(content);
+    const first = parseCSV(content, delimiter)[0] || [];
+    const saved = profiles.find(p=> p.headerSignature === headerSignature(first));
+    setProfile(saved || { id: uid(), name: file.name.replace(/\.[^.]+$/, ''), delimiter, hasHeader: true, dateFormat: 'auto', headerSignature: headerSignature(first), columns: guessColumns(first) });
+  }
+
+  function setColumn(key, value){ setProfile(p=> ({ ...p, columns: { ...p.columns, [key]: value === '' ? null : Number(value) } })); }
+
+  async function commit(){
+    const list = preview.filter((p,i)=> included[i] && !p.error).map(p=> p.tx);
+    await onImport(list, accountId || null);
+    setStatus(`Imported ${list.length} transaction(s) from ${fileName}.`);
+    setFormat(null); setText(''); setProfile(null); setFileName('');
+  }
+
+  const selectedCount = preview.filter((p,i)=> included[i] && !p.error).length;
+  return (
+    <div className="mt-2 space-y-2">
+      <input type="file" accept=".csv,.txt,.ofx,.qfx,.qif" onChange={onFile} />
+      {status && <div className="text-sm text-green-600">{status}</div>}
+
+      {format==='csv' && profile && (
+        <div className="border rounded p-2 space-y-2 text-sm">
+          <div className="flex flex-wrap gap-2 items-center">
+            <label>Bank profile <select value={profiles.some(p=> p.id===profile.id) ? profile.id : ''} onChange={e=>{ const p = profiles.find(x=> x.id===e.target.value); if(p) setProfile({ ...p, headerSignature: profile.headerSignature }); }}>
+              <option value="">(new mapping)</option>
+              {profiles.map(p=> <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select></label>
+            <input placeholder="Profile name" value={profile.name} onChange={e=>setProfile(p=>({...p, name: e.target.value}))} />
+            <button type="button" onClick={()=> onSaveProfile(profile)}>Save profile</button>
+          </div>
+          <div className="flex flex-wrap gap-2 items-center">
+            <label>Delimiter <select value={profile.delimiter} onChange={e=>setProfile(p=>({...p, delimiter: e.target.value}))}>
+              <option value=",">Comma</option>
+              <option value=";">Semicolon</option>
+              <option value={'\t'}>Tab</option>
+              <option value="|">Pipe</option>
+            </select></label>
+            <label>Date format <select value={profile.dateFormat} onChange={e=>setProfile(p=>({...p, dateFormat: e.target.value}))}>
+              {DATE_FORMATS.map(f=> <option key={f} value={f}>{f}</option>)}
+            </select></label>
+            <label><input type="checkbox" checked={profile.hasHeader} onChange={e=>setProfile(p=>({...p, hasHeader: e.target.checked}))} /> First row is a header</label>
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            {[['date','Date'],['description','Description'],['amount','Amount (signed)'],['debit','Debit / withdrawal'],['credit','Credit / deposit'],['category','Category']].map(([key,label])=> (
+              <label key={key}>{label} <select value={profile.columns[key] ?? ''} onChange={e=>setColumn(key, e.target.value)}>
+                <option value="">—</option>
+                {header.map((h,i)=> <option key={i} value={i}>{h}</option>)}
+              </select></label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {preview.length > 0 && (
+        <div className="text-sm">
+          <div className="max-h-64 overflow-auto border rounded">
+            <table className="w-full">
+              <thead><tr><th></th><th>Date</th><th>Note</th><th>Category</th><th>Amount</th><th>Status</th></tr></thead>
+              <tbody>
+                {preview.map((p,i)=> (
+                  <tr key={i} className={p.error || p.duplicate ? 'opacity-60' : ''}>
+                    <td><input type="checkbox" disabled={!!p.error} checked={!!included[i]} onChange={e=> setIncluded(prev=> prev.map((v,j)=> j===i ? e.target.checked : v))} /></td>
+                    <td>{p.tx.date || '—'}</td>
+                    <td>{p.tx.note}</td>
+                    <td>{p.tx.category}</td>
+                    <td className={p.tx.type==='income'? 'text-green-600': 'text-red-600'}>{p.tx.type==='income'?'+':''}{fx.format(p.tx.amount)}</td>
+                    <td>{p.error ? `Line ${p.line}: ${p.error}` : p.duplicate ? 'Possible duplicate' : 'New'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 flex gap-2 items-center">
+            <span>{selectedCount} of {preview.length} selected • {preview.filter(p=> p.duplicate).length} possible duplicate(s)</span>
+            <select value={accountId} onChange={e=>setAccountId(e.target.value)}>
+              <option value="">No account</option>
+              {accounts.map(a=> <option key={a.id} value={a.id}>{a.name}</option>)}
+            </select>
+            <button type="button" disabled={!selectedCount} onClick={commit}>Import {selectedCount} transaction(s)</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// searchable, paginated table over every transaction, with a trash view for the soft-deleted ones
+function TransactionManager({ transactions, filter, onFilter: setFilter, categories, currencies, accounts, members, onEdit, onCorrect, onRecategorize, onTag, onDelete, onRestore, undo, onUndo, prefs, fx }){
+  const [trash, setTrash] = useState(false);
+  const [page, setPage] = useState(0);
+  const [selected, setSelected] = useState([]);
+  const [editing, setEditing] = useState(null); // draft of the row being edited
+  const [bulkCategory, setBulkCategory] = useState('');
+  const [bulkTax, setBulkTax] = useState('');
+
+  const rows = useMemo(()=> filterTransactions(transactions.filter(t=> !!t.deleted === trash), filter, prefs.currency), [transactions, trash, filter, prefs.currency]);
+  const pages = Math.max(1, Math.ceil(rows.length / TXN_PAGE_SIZE));
+  const visible = rows.slice(page*TXN_PAGE_SIZE, (page+1)*TXN_PAGE_SIZE);
+  const total = rows.reduce((a,t)=> a + txnSign(t) * fx.tx(t), 0);
+  const accountName = id => (accounts.find(a=> a.id === id) || {}).name || '';
+
+  useEffect(()=>{ setPage(0); setSelected([]); }, [filter, trash]);
+  useEffect(()=>{ if(page >= pages) setPage(pages-1); }, [pages]);
+
+  function setField(key, value){ setFilter(f=> ({ ...f, [key]: value })); }
+  function toggle(id){ setSelected(prev=> prev.includes(id) ? prev.filter(x=> x !== id) : [...prev, id]); }
+  const allVisibleSelected = visible.length > 0 && visible.every(t=> selected.includes(t.id));
+  function toggleAll(){ setSelected(prev=> allVisibleSelected ? prev.filter(id=> !visible.some(t=> t.id === id)) : [...new Set([...prev, ...visible.map(t=> t.id)])]); }
+
+  function startEdit(t){ setEditing({ id: t.id, date: t.date, type: t.type, amount: String(t.amount), currency: t.currency || prefs.currency, category: t.category || '', note: t.note || '', accountId: t.accountId || '', taxSection: t.taxSection || '', splits: t.splits && t.splits.length ? t.splits : null }); }
+  async function saveEdit(){
+    const amount = Number(editing.amount);
+    if(!editing.date || !Number.isFinite(amount) || amount <= 0) return;
+    const { id, splits, ...fields } = editing;
+    const parts = splits ? splits.filter(p=> p.category && Number(p.amount)).map(p=> ({ ...p, amount: Number(p.amount) })) : null;
+    if(parts && Math.abs(splitRemainder(amount, parts)) > 0.005) return;
+    const category = parts && parts.length ? SPLIT_CATEGORY : fields.type === 'transfer' ? fields.category : fields.category.trim() || UNCATEGORIZED;
+    await onEdit(id, { ...fields, amount, category, accountId: fields.accountId || null, taxSection: fields.type === 'transfer' ? null : fields.taxSection || null, splits: parts && parts.length ? parts : null });
+    setEditing(null);
+  }
+
+  async function bulk(action){
+    if(!selected.length) return;
+    if(action === 'delete') await onDelete(selected);
+    if(action === 'restore') await onRestore(selected);
+    if(action === 'category' && bulkCategory.trim()) await onRecategorize(selected, bulkCategory.trim());
+    if(action === 'tax') await onTag(selected, bulkTax);
+    setSelected([]);
+  }
+
+  return (
+    <div className="mt-2 space-y-2 text-sm">
+      <div className="flex flex-wrap gap-2 items-center">
+        <input placeholder="Search" value={filter.text} onChange={e=>setField('text', e.target.value)} />
+        <input type="date" value={filter.from} onChange={e=>setField('from', e.target.value)} />
+        <input type="date" value={filter.to} onChange={e=>setField('to', e.target.value)} />
+        <select value={filter.type} onChange={e=>setField('type', e.target.value)}>
+          <option value="all">All types</option>
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+          <option value="transfer">Transfer</option>
+        </select>
+        <select value={filter.category} onChange={e=>setField('category', e.target.value)}>
+          <option value="">All categories</option>
+          {categories.map(c=> <option key={c} value={c}>{c}</option>)}
+        </select>
+        {filter.categories.length > 0 && <button type="button" title={filter.categories.join(', ')} onClick={()=>setField('categories', [])}>{filter.categories.length} other categories ×</button>}
+        <select value={filter.account} onChange={e=>setField('account', e.target.value)}>
+          <option value="">All accounts</option>
+          {accounts.map(a=> <option key={a.id} value={a.id}>{a.name}</option>)}
+        </select>
+        <select value={filter.currency} onChange={e=>setField('currency', e.target.value)}>
+          <option value="">All currencies</option>
+          {currencies.map(c=> <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select value={filter.tax} onChange={e=>setField('tax', e.target.value)}>
+          <option value="">All tax sections</option>
+          <option value="*">Any tax section</option>
+          {TAX_SECTIONS.map(s=> <option key={s.id} value={s.id}>{s.id}</option>)}
+        </select>
+        <input placeholder="Min" className="w-20" value={filter.min} onChange={e=>setField('min', e.target.value)} />
+        <input placeholder="Max" className="w-20" value={filter.max} onChange={e=>setField('max', e.target.value)} />
+        <button type="button" onClick={()=>setFilter(EMPTY_TXN_FILTER)}>Clear</button>
+        <label><input type="checkbox" checked={trash} onChange={e=>setTrash(e.target.checked)} /> Trash</label>
+      </div>
+
+      <div className="flex flex-wrap gap-2 items-center">
+        <span>{rows.length} transaction(s) • net {fx.format(total)}{selected.length ? ` • ${selected.length} selected` : ''}</span>
+        {trash ? (
+          <button type="button" disabled={!selected.length} onClick={()=>bulk('restore')}>Restore selected</button>
+        ) : (
+          <>
+            <input placeholder="Category" list="category-options" className="w-32" value={bulkCategory} onChange={e=>setBulkCategory(e.target.value)} />
+            <button type="button" disabled={!selected.length || !bulkCategory.trim()} onClick={()=>bulk('category')}>Re-categorize selected</button>
+            <TaxSectionPicker value={bulkTax} onChange={setBulkTax} />
+            <button type="button" disabled={!selected.length} onClick={()=>bulk('tax')}>{bulkTax ? 'Tag selected' : 'Untag selected'}</button>
+            <button type="button" disabled={!selected.length} onClick={()=>bulk('delete')}>Delete selected</button>
+          </>
+        )}
+        {undo && <button type="button" onClick={onUndo}>Undo {undo.label.toLowerCase()}</button>}
+      </div>
+
+      <table className="w-full">
+        <thead>
+          <tr>
+            <th><input type="checkbox" checked={allVisibleSelected} onChange={toggleAll} /></th>
+            <th className="text-left">Date</th><th className="text-left">Category</th><th className="text-left">Note</th><th className="text-right">Amount</th><th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {visible.length === 0 && <tr><td colSpan={6} className="text-muted">{trash ? 'Trash is empty.' : 'No matching transactions.'}</td></tr>}
+          {visible.map(t=> editing && editing.id === t.id ? (
+            <tr key={t.id} className="border-b">
+              <td></td>
+              <td>
+                <input type="date" value={editing.date} onChange={e=>setEditing(d=>({...d, date: e.target.value}))} />
+                {editing.type === 'transfer' ? <span>Transfer</span> : (
+                  <select value={editing.type} onChange={e=>setEditing(d=>({...d, type: e.target.value}))}>
+                    <option value="expense">Expense</option>
+                    <option value="income">Income</option>
+                  </select>
+                )}
+              </td>
+              <td>
+                {editing.type === 'transfer' ? null : editing.splits ? (
+                  <SplitEditor amount={editing.amount} splits={editing.splits} onChange={splits=> setEditing(d=>({...d, splits}))} currency={editing.currency} />
+                ) : (
+                  <input list="category-options" className="w-32" value={editing.category} onChange={e=>setEditing(d=>({...d, category: e.target.value}))} />
+                )}
+                {editing.type !== 'transfer' && <button type="button" className="text-xs" onClick={()=> setEditing(d=>({...d, splits: d.splits ? null : [{ id: uid(), category: d.category === SPLIT_CATEGORY ? '' : d.category, amount: d.amount }, { id: uid(), category: '', amount: '' }] }))}>{editing.splits ? 'Unsplit' : 'Split'}</button>}
+              </td>
+              <td>
+                <input value={editing.note} onChange={e=>setEditing(d=>({...d, note: e.target.value}))} />
+                <select value={editing.accountId} onChange={e=>setEditing(d=>({...d, accountId: e.target.value}))}>
+                  <option value="">No account</option>
+                  {accounts.map(a=> <option key={a.id} value={a.id}>{a.name}</option>)}
+                </select>
+                {editing.type !== 'transfer' && <TaxSectionPicker value={editing.taxSection} onChange={taxSection=> setEditing(d=>({...d, taxSection}))} />}
+              </td>
+              <td className="text-right">
+                <input className="w-24" value={editing.amount} onChange={e=>setEditing(d=>({...d, amount: e.target.value}))} />
+                <select value={editing.currency} onChange={e=>setEditing(d=>({...d, currency: e.target.value}))}>
+                  {currencies.map(c=> <option key={c} value={c}>{c}</option>)}
+                </select>
+              </td>
+              <td className="text-xs">
+                <button type="button" onClick={saveEdit}>Save</button>
+                <button type="button" onClick={()=>setEditing(null)}>Cancel</button>
+              </td>
+            </tr>
+          ) : (
+            <tr key={t.id} className="border-b">
+              <td><input type="checkbox" checked={selected.includes(t.id)} onChange={()=>toggle(t.id)} /></td>
+              <td>{t.date}</td>
+              <td>
+                {trash || t.type === 'transfer' ? t.category : t.splits && t.splits.length ? (
+                  <span title={t.splits.map(p=> `${p.category}: ${formatAmount(p.amount, t.currency||prefs.currency)}`).join('\n')}>{t.splits.map(p=> p.category).join(' + ')}</span>
+                ) : <CategoryPicker value={t.category} onChange={c=> onCorrect(t, c)} />}
+              </td>
+              <td>
+                {t.note}
+                {(t.accountId || t.toAccountId) && <span className="ml-1 text-xs text-muted">{t.type === 'transfer' ? `${accountName(t.accountId)} → ${accountName(t.toAccountId)}` : accountName(t.accountId)}</span>}
+                {isReconciled(t) && <span className="ml-1 text-xs" title={`Reconciled (${Object.entries(reconciledMap(t)).map(([id, d])=> `${accountName(id)} statement ${d}`).join(', ')})`}>🔒</span>}
+                {t.feed && t.feed.status === 'pending' && <span className="ml-1 text-xs text-muted">pending</span>}
+                {t.taxSection && <span className="ml-1 text-xs px-1 rounded bg-gray-100" title={(taxSectionById(t.taxSection) || {}).label}>{t.taxSection}</span>}
+                {members && t.enteredBy && <span className="ml-1 text-xs text-muted">by {members[t.enteredBy] || 'a former member'}</span>}
+              </td>
+              <td className={`text-right font-semibold ${t.type==='income'? 'text-green-600': t.type==='transfer' ? '' : 'text-red-600'}`}>
+                {t.type==='income'?'+':''}{formatAmount(t.amount, t.currency||prefs.currency)}
+                {(t.currency||prefs.currency) !== prefs.currency && <span className="ml-1 text-xs text-muted">≈ {fx.format(fx.tx(t))}</span>}
+              </td>
+              <td className="text-xs">
+                {trash ? (
+                  <button type="button" onClick={()=>onRestore([t.id])}>Restore</button>
+                ) : (
+                  <>
+                    <button type="button" onClick={()=>startEdit(t)}>Edit</button>
+                    <button type="button" disabled={isReconciled(t)} onClick={()=>onDelete([t.id])}>Delete</button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {pages > 1 && (
+        <div className="flex gap-2 items-center">
+          <button type="button" disabled={page===0} onClick={()=>setPage(p=> p-1)}>Previous</button>
+          <span>Page {page+1} of {pages}</span>
+          <button type="button" disabled={page>=pages-1} onClick={()=>setPage(p=> p+1)}>Next</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// split rows for one transaction; the remainder must reach zero before it can be saved
+function SplitEditor({ amount, splits, onChange, currency }){
+  const remainder = splitRemainder(amount, splits);
+  const set = (id, patch) => onChange(splits.map(p=> p.id === id ? { ...p, ...patch } : p));
+  return (
+    <div className="mt-1 space-y-1 text-sm">
+      {splits.map(p=> (
+        <div key={p.id} className="flex gap-1">
+          <input placeholder="Category" list="category-options" className="w-32" value={p.category} onChange={e=>set(p.id, { category: e.target.value })} />
+          <input placeholder="Amount" className="w-24" value={p.amount} onChange={e=>set(p.id, { amount: e.target.value })} />
+          {splits.length > 1 && <button type="button" onClick={()=> onChange(splits.filter(x=> x.id !== p.id))}>✕</button>}
+        </div>
+      ))}
+      <div className="flex gap-2 items-center">
+        <button type="button" onClick={()=> onChange([...splits, { id: uid(), category: '', amount: remainder > 0 ? String(Math.round(remainder*100)/100) : '' }])}>Add split</button>
+        <span className={Math.abs(remainder) > 0.005 ? 'text-red-600' : 'text-green-600'}>{Math.abs(remainder) > 0.005 ? `${formatAmount(remainder, currency)} unassigned` : 'Fully assigned'}</span>
+      </div>
+    </div>
+  );
+}
+
+// accounts with running balances, plus statement reconciliation for the selected one
+function AccountsPanel({ accounts, transactions, currencies, converterFor, onSave, onRemove, onReconcile, onUnlock, prefs, fx }){
+  const blank = { id: null, name: '', kind: 'bank', currency: prefs.currency, openingBalance: '', openingDate: todayISO() };
+  const [form, setForm] = useState(blank);
+  const [openId, setOpenId] = useState(null);
+  const [statement, setStatement] = useState({ date: todayISO(), balance: '' });
+  const [ticked, setTicked] = useState([]);
+
+  const ledgers = useMemo(()=> Object.fromEntries(accounts.map(a=> [a.id, accountLedger(a, transactions, converterFor(a.currency || prefs.currency).convert)])), [accounts, transactions, converterFor, prefs.currency]);
+  const open = accounts.find(a=> a.id === openId);
+  const ledger = open ? ledgers[open.id] : null;
+  const liability = kind => kind === 'card' || kind === 'loan';
+  const total = accounts.reduce((a,acc)=> a + fx.convert(ledgers[acc.id].balance, acc.currency), 0);
+
+  // reconciliation: cleared balance + ticked rows vs the statement
+  const candidates = ledger ? ledger.rows.filter(r=> !reconciledIn(r.tx, open.id) && r.tx.date <= statement.date) : [];
+  const tickedSum = candidates.filter(r=> ticked.includes(r.tx.id)).reduce((a,r)=> a + r.delta, 0);
+  const difference = statement.balance === '' ? null : Number(statement.balance) - (ledger ? ledger.cleared + tickedSum : 0);
+
+  useEffect(()=>{ setTicked([]); setStatement({ date: todayISO(), balance: '' }); }, [openId]);
+
+  function submit(e){
+    e.preventDefault();
+    if(!form.name.trim()) return;
+    // cards & loans are entered as the amount owed
+    const opening = Number(form.openingBalance) || 0;
+    onSave({ ...form, name: form.name.trim(), openingBalance: liability(form.kind) ? -Math.abs(opening) : opening });
+    setForm(blank);
+  }
+
+  function edit(a){ setForm({ ...blank, ...a, openingBalance: String(liability(a.kind) ? Math.abs(a.openingBalance || 0) : a.openingBalance || 0) }); }
+
+  async function finish(){
+    await onReconcile(open, statement.date, Number(statement.balance), ticked);
+    setTicked([]);
+  }
+
+  const fmt = (a, v) => formatAmount(v, a.currency || prefs.currency);
+
+  return (
+    <div className="mt-2 space-y-3 text-sm">
+      <form onSubmit={submit} className="flex flex-wrap gap-2 items-center">
+        <input placeholder="Account name" value={form.name} onChange={e=>setForm(f=>({...f, name: e.target.value}))} />
+        <select value={form.kind} onChange={e=>setForm(f=>({...f, kind: e.target.value}))}>
+          {ACCOUNT_KINDS.map(([k,label])=> <option key={k} value={k}>{label}</option>)}
+        </select>
+        <select value={form.currency} onChange={e=>setForm(f=>({...f, currency: e.target.value}))}>
+          {currencies.map(c=> <option key={c} value={c}>{c}</option>)}
+        </select>
+        <input placeholder={liability(form.kind) ? 'Amount owed' : 'Opening balance'} className="w-28" value={form.openingBalance} onChange={e=>setForm(f=>({...f, openingBalance: e.target.value}))} />
+        <input type="date" value={form.openingDate} onChange={e=>setForm(f=>({...f, openingDate: e.target.value}))} />
+        <button type="submit">{form.id ? 'Save account' : 'Add account'}</button>
+        {form.id && <button type="button" onClick={()=>setForm(blank)}>Cancel</button>}
+      </form>
+
+      <div>
+        {accounts.length === 0 && <div className="text-muted">No accounts yet.</div>}
+        {accounts.map(a=> (
+          <div key={a.id} className="flex justify-between items-center border-b py-1">
+            <button type="button" className="text-left" onClick={()=> setOpenId(openId === a.id ? null : a.id)}>
+              <strong>{a.name}</strong> <span className="text-xs text-muted">{(ACCOUNT_KINDS.find(([k])=> k === a.kind) || [])[1]}{a.reconciledThrough ? ` • reconciled through ${a.reconciledThrough}` : ''}</span>
+            </button>
+            <span className="flex gap-2 items-center">
+              <span className={ledgers[a.id].balance < 0 ? 'text-red-600' : ''}>{fmt(a, ledgers[a.id].balance)}</span>
+              <button type="button" className="text-xs" onClick={()=>edit(a)}>Edit</button>
+              <button type="button" className="text-xs" onClick={()=>onRemove(a.id)}>Delete</button>
+            </span>
+          </div>
+        ))}
+        {accounts.length > 0 && <div className="text-right font-semibold">Total {fx.format(total)}</div>}
+      </div>
+
+      {open && (
+        <div className="space-y-2">
+          <div className="font-semibold">{open.name} — running balance</div>
+          <div className="max-h-48 overflow-auto">
+            <table className="w-full">
+              <tbody>
+                <tr><td>{open.openingDate}</td><td>Opening balance</td><td></td><td className="text-right">{fmt(open, Number(open.openingBalance) || 0)}</td></tr>
+                {ledger.rows.slice(-50).map(r=> (
+                  <tr key={r.tx.id}>
+                    <td>{r.tx.date}</td><td>{r.tx.note || r.tx.category}{reconciledIn(r.tx, open.id) ? ' 🔒' : ''}</td>
+                    <td className={`text-right ${r.delta < 0 ? 'text-red-600' : 'text-green-600'}`}>{fmt(open, r.delta)}</td>
+                    <td className="text-right">{fmt(open, r.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="font-semibold">Reconcile</div>
+          <div className="flex flex-wrap gap-2 items-center">
+            <label>Statement date <input type="date" value={statement.date} onChange={e=>setStatement(st=>({...st, date: e.target.value}))} /></label>
+            <input placeholder={`Statement balance (${open.currency || prefs.currency})`} value={statement.balance} onChange={e=>setStatement(st=>({...st, balance: e.target.value}))} />
+            <span>Cleared {fmt(open, ledger.cleared + tickedSum)}</span>
+            {difference !== null && <span className={Math.abs(difference) < 0.005 ? 'text-green-600' : 'text-red-600'}>Difference {fmt(open, difference)}</span>}
+            <button type="button" disabled={difference === null || Math.abs(difference) >= 0.005} onClick={finish}>Finish & lock</button>
+            {open.reconciledThrough && <button type="button" onClick={()=> onUnlock(open)}>Undo last reconciliation ({open.reconciledThrough})</button>}
+          </div>
+          <div className="max-h-48 overflow-auto">
+            {candidates.length === 0 && <div className="text-muted">No unreconciled transactions up to {statement.date}.</div>}
+            {candidates.map(r=> (
+              <label key={r.tx.id} className="flex justify-between">
+                <span><input type="checkbox" checked={ticked.includes(r.tx.id)} onChange={()=> setTicked(prev=> prev.includes(r.tx.id) ? prev.filter(x=> x !== r.tx.id) : [...prev, r.tx.id])} /> {r.tx.date} {r.tx.note || r.tx.category}</span>
+                <span>{fmt(open, r.delta)}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// paste or upload a signed bank-feed batch; the mock aggregator fills in signed sample deliveries
+function BankFeedPanel({ secret, onSecret, logs, onIngest }){
+  const [draftSecret, setDraftSecret] = useState(secret);
+  const [body, setBody] = useState('');
+  const [signature, setSignature] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [last, setLast] = useState(null); // log entry of the latest delivery from this panel
+
+  async function onFile(e){
+    const file = e.target.files?.[0];
+    if(file) setBody(await file.text());
+  }
+
+  async function loadMock(batch){
+    const text = JSON.stringify(batch, null, 2);
+    setBody(text);
+    setSignature(await signPayload(text, MOCK_FEED_SECRET));
+  }
+
+  async function ingest(){
+    setBusy(true);
+    try{ setLast(await onIngest(body, signature)); }
+    finally{ setBusy(false); }
+  }
+
+  const describe = counts => Object.entries(counts || {}).map(([k, n])=> `${n} ${k}`).join(', ') || 'nothing to do';
+
+  return (
+    <div className="mt-2 text-sm space-y-2">
+      <div className="flex flex-wrap gap-2 items-center">
+        <input type="password" placeholder="Shared secret" value={draftSecret} onChange={e=>setDraftSecret(e.target.value)} />
+        <button type="button" disabled={draftSecret === secret} onClick={()=> onSecret(draftSecret)}>Save secret</button>
+        <span className="text-xs text-muted">{secret ? 'Secret set on this device' : 'No secret: every batch is rejected'}</span>
+      </div>
+      <textarea className="w-full h-24 font-mono text-xs" placeholder='{ "provider": "...", "batchId": "...", "transactions": [...] }' value={body} onChange={e=>setBody(e.target.value)} />
+      <div className="flex flex-wrap gap-2 items-center">
+        <input type="file" accept=".json,application/json" onChange={onFile} />
+        <input className="flex-1" placeholder="Signature (sha256=…)" value={signature} onChange={e=>setSignature(e.target.value)} />
+        <button type="button" disabled={busy || !body.trim()} onClick={ingest}>Ingest batch</button>
+      </div>
+      <div className="flex flex-wrap gap-2 items-center text-xs">
+        <span className="text-muted">Mock aggregator:</span>
+        {mockAggregatorBatches().map(b=> <button key={b.batchId} type="button" onClick={()=> loadMock(b)}>{b.batchId}</button>)}
+        <button type="button" onClick={()=> { setDraftSecret(MOCK_FEED_SECRET); onSecret(MOCK_FEED_SECRET); }}>Use mock secret</button>
+      </div>
+      {last && (
+        <div className={last.errors.length ? 'text-red-600' : 'text-green-600'}>
+          {last.verified ? `Batch ${last.batchId || '(no id)'}: ${describe(last.counts)}${last.replay ? ' (replayed batch)' : ''}` : 'Batch rejected'}
+          {last.errors.map((e, i)=> <div key={i} className="text-xs">{e.externalId ? `${e.externalId}: ` : e.index != null ? `item ${e.index+1}: ` : ''}{e.message}</div>)}
+        </div>
+      )}
+      {logs.length > 0 && (
+        <details>
+          <summary className="text-xs">Ingestion log ({logs.length})</summary>
+          {logs.slice(0, 20).map(l=> (
+            <div key={l.id} className="text-xs border-b py-1">
+              <div>{new Date(l.receivedAt).toLocaleString()} • {l.provider || 'unknown'} {l.batchId || ''} • {l.verified ? describe(l.counts) : 'rejected'}{l.replay ? ' • replay' : ''}</div>
+              {(l.errors || []).map((e, i)=> <div key={i} className="text-red-600">{e.externalId ? `${e.externalId}: ` : ''}{e.message}</div>)}
+            </div>
+          ))}
+        </details>
+      )}
+    </div>
+  );
+}
+
+// tax section of a transaction or investment buy ('' = none)
+function TaxSectionPicker({ value, onChange, sections = TAX_SECTIONS }){
+  return (
+    <select value={value || ''} onChange={e=> onChange(e.target.value)} title="Tax section">
+      <option value="">No tax section</option>
+      {sections.map(s=> <option key={s.id} value={s.id}>{s.label}</option>)}
+    </select>
+  );
+}
+
+// click a category to change it; Enter / blur commits
+function CategoryPicker({ value, onChange }){
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(value || '');
+  function commit(){ setEditing(false); if(draft.trim() && draft.trim() !== value) onChange(draft.trim()); }
+  if(!editing) return <button type="button" className="underline decoration-dotted" onClick={()=>{ setDraft(value || ''); setEditing(true); }}>{value || UNCATEGORIZED}</button>;
+  return <input autoFocus list="category-options" className="w-32" value={draft} onChange={e=>setDraft(e.target.value)} onBlur={commit} onKeyDown={e=>{ if(e.key==='Enter') commit(); if(e.key==='Escape') setEditing(false); }} />;
+}
+
+function CategoryRulesPanel({ rules, transactions, accounts, onSave, onRemove, onMove, onApply }){
+  const blank = { id: null, category: '', pattern: '', patternType: 'contains', minAmount: '', maxAmount: '', accountId: '', type: 'any', enabled: true };
+  const [form, setForm] = useState(blank);
+  const [sample, setSample] = useState({ note: '', amount: '', type: 'expense', accountId: '' });
+
+  const invalidRegex = useMemo(()=>{
+    if(form.patternType !== 'regex' || !form.pattern) return false;
+    try{ new RegExp(form.pattern); return false; }catch(e){ return true; }
+  }, [form.pattern, form.patternType]);
+  // how many past transactions each rule would re-categorize (one pass per rule, not per render of every row)
+  const matchCounts = useMemo(()=> Object.fromEntries(rules.map(rule=> [rule.id, retroactiveMatches(rule, transactions).length])), [rules, transactions]);
+  const tested = sample.note || sample.amount ? matchRule({ ...sample, amount: Number(sample.amount) || 0 }, rules) : undefined;
+
+  function submit(e){
+    e.preventDefault();
+    if(!form.category.trim() || invalidRegex) return;
+    const num = v => v === '' || v === null ? null : Number(v);
+    onSave({ ...form, id: form.id || uid(), category: form.category.trim(), minAmount: num(form.minAmount), maxAmount: num(form.maxAmount), accountId: form.accountId || null, source: form.source || 'manual' });
+    setForm(blank);
+  }
+
+  function edit(rule){ setForm({ ...blank, ...rule, minAmount: rule.minAmount ?? '', maxAmount: rule.maxAmount ?? '', accountId: rule.accountId || '' }); }
+
+  function describe(rule){
+    const parts = [];
+    if(rule.pattern) parts.push(rule.patternType==='regex' ? `payee ~ /${rule.pattern}/` : `payee contains “${rule.pattern}”`);
+    if(rule.minAmount !== null && rule.minAmount !== undefined) parts.push(`≥ ${rule.minAmount}`);
+    if(rule.maxAmount !== null && rule.maxAmount !== undefined) parts.push(`≤ ${rule.maxAmount}`);
+    if(rule.accountId) parts.push(`account ${(accounts.find(a=> a.id === rule.accountId) || {}).name || '(removed)'}`);
+    if(rule.type && rule.type !== 'any') parts.push(rule.type);
+    return parts.join(', ') || 'everything';
+  }
+
+  return (
+    <div className="mt-2 space-y-3 text-sm">
+      <form onSubmit={submit} className="flex flex-wrap gap-2 items-center">
+        <input placeholder="Payee / note" value={form.pattern} onChange={e=>setForm(f=>({...f, pattern: e.target.value}))} />
+        <select value={form.patternType} onChange={e=>setForm(f=>({...f, patternType: e.target.value}))}>
+          <option value="contains">contains</option>
+          <option value="regex">regex</option>
+        </select>
+        <input placeholder="Min amount" className="w-24" value={form.minAmount} onChange={e=>setForm(f=>({...f, minAmount: e.target.value}))} />
+        <input placeholder="Max amount" className="w-24" value={form.maxAmount} onChange={e=>setForm(f=>({...f, maxAmount: e.target.value}))} />
+        <select value={form.accountId} onChange={e=>setForm(f=>({...f, accountId: e.target.value}))}>
+          <option value="">Any account</option>
+          {accounts.map(a=> <option key={a.id} value={a.id}>{a.name}</option>)}
+        </select>
+        <select value={form.type} onChange={e=>setForm(f=>({...f, type: e.target.value}))}>
+          <option value="any">Income or expense</option>
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+        </select>
+        <span>→</span>
+        <input placeholder="Category" list="category-options" value={form.category} onChange={e=>setForm(f=>({...f, category: e.target.value}))} />
+        <button type="submit" disabled={invalidRegex}>{form.id ? 'Save rule' : 'Add rule'}</button>
+        {form.id && <button type="button" onClick={()=>setForm(blank)}>Cancel</button>}
+        {invalidRegex && <span className="text-red-600">Invalid regular expression</span>}
+      </form>
+
+      <ol className="space-y-1">
+        {rules.length === 0 && <div className="text-muted">No rules yet — re-categorize a transaction or add one above.</div>}
+        {rules.map((rule, i)=> (
+          <li key={rule.id} className={`flex justify-between items-center border-b py-1 ${rule.enabled === false ? 'opacity-60' : ''}`}>
+            <span>{i+1}. {describe(rule)} → <strong>{rule.category}</strong>{rule.source==='correction' && <span className="text-xs text-muted"> (learned)</span>}</span>
+            <span className="flex gap-2 text-xs">
+              <button type="button" disabled={i===0} onClick={()=>onMove(rule.id, -1)}>↑</button>
+              <button type="button" disabled={i===rules.length-1} onClick={()=>onMove(rule.id, 1)}>↓</button>
+              <button type="button" onClick={()=>onSave({ ...rule, enabled: rule.enabled === false })}>{rule.enabled === false ? 'Enable' : 'Disable'}</button>
+              <button type="button" disabled={!matchCounts[rule.id]} onClick={()=>onApply(rule)}>Apply to {matchCounts[rule.id] || 0} existing</button>
+              <button type="button" onClick={()=>edit(rule)}>Edit</button>
+              <button type="button" onClick={()=>onRemove(rule.id)}>Delete</button>
+            </span>
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex flex-wrap gap-2 items-center">
+        <span className="font-semibold">Test:</span>
+        <input placeholder="Payee / note" value={sample.note} onChange={e=>setSample(s=>({...s, note: e.target.value}))} />
+        <input placeholder="Amount" className="w-24" value={sample.amount} onChange={e=>setSample(s=>({...s, amount: e.target.value}))} />
+        <select value={sample.accountId} onChange={e=>setSample(s=>({...s, accountId: e.target.value}))}>
+          <option value="">No account</option>
+          {accounts.map(a=> <option key={a.id} value={a.id}>{a.name}</option>)}
+        </select>
+        <select value={sample.type} onChange={e=>setSample(s=>({...s, type: e.target.value}))}>
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+        </select>
+        {tested !== undefined && <span>{tested ? <>→ <strong>{tested.category}</strong> (rule {rules.indexOf(tested)+1})</> : '→ no rule matches (Uncategorized)'}</span>}
+      </div>
+    </div>
+  );
+}
+
+function UpcomingBills({ rules, onSkip, onEdit, onEnd, prefs }){
+  const [editing, setEditing] = useState(null); // { ruleId, occurrence, amount, date }
+  const today = todayISO();
+  const upcoming = useMemo(()=> upcomingOccurrences(rules, today, addDaysISO(today, 30)), [rules, today]);
+  const active = rules.filter(r=> !r.schedule.endDate || r.schedule.endDate >= today);
+  const describe = s => `every ${s.every > 1 ? `${s.every} ` : ''}${{ daily:'day', weekly:'week', monthly:'month', yearly:'year' }[s.interval]}${s.every > 1 ? 's' : ''}${s.monthDay==='last-business-day' ? ' (last business day)' : ''}`;
+
+  function save(rule){
+    onEdit(rule, editing.occurrence, { amount: Number(editing.amount), date: editing.date });
+    setEditing(null);
+  }
+
+  return (
+    <div className="mt-2 space-y-3 text-sm">
+      {upcoming.length === 0 && <div className="text-muted">Nothing due in the next 30 days.</div>}
+      {upcoming.map(({ rule, occurrence, skipped, tx })=> {
+        const isEditing = editing && editing.ruleId===rule.id && editing.occurrence===occurrence;
+        return (
+          <div key={`${rule.id}_${occurrence}`} className={`flex items-center justify-between border-b py-1 ${skipped ? 'opacity-50 line-through' : ''}`}>
+            {isEditing ? (
+              <div className="flex gap-1">
+                <input type="date" value={editing.date} onChange={e=>setEditing(x=>({...x, date: e.target.value}))} />
+                <input value={editing.amount} onChange={e=>setEditing(x=>({...x, amount: e.target.value}))} />
+                <button type="button" onClick={()=>save(rule)}>Save</button>
+                <button type="button" onClick={()=>setEditing(null)}>Cancel</button>
+              </div>
+            ) : (
+              <span>{tx.date} • {tx.note || tx.category}</span>
+            )}
+            <span className="flex gap-2 items-center">
+              <strong className={tx.type==='income' ? 'text-green-600' : 'text-red-600'}>{formatAmount(tx.amount, tx.currency || prefs.currency)}</strong>
+              {!isEditing && !skipped && <button type="button" onClick={()=>setEditing({ ruleId: rule.id, occurrence, amount: String(tx.amount), date: tx.date })}>Edit</button>}
+              <button type="button" onClick={()=>onSkip(rule, occurrence, !skipped)}>{skipped ? 'Unskip' : 'Skip'}</button>
+            </span>
+          </div>
+        );
+      })}
+      {active.length > 0 && (
+        <div>
+          <div className="font-semibold">Schedules</div>
+          {active.map(rule=> (
+            <div key={rule.id} className="flex justify-between">
+              <span>{rule.template.note || rule.template.category} — {formatAmount(rule.template.amount, rule.template.currency || prefs.currency)} {describe(rule.schedule)} from {rule.schedule.start}{rule.schedule.endDate ? ` until ${rule.schedule.endDate}` : ''}</span>
+              <button type="button" onClick={()=>onEnd(rule)}>Stop</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const CHART_COLORS = ['#2563eb','#dc2626','#16a34a','#d97706','#7c3aed','#0891b2','#db2777','#65a30d','#6b7280'];
+const PIE_MAX_SLICES = 8;
+
+function arcPath(cx, cy, r, a0, a1){
+  const p = a => `${(cx + r*Math.sin(a)).toFixed(2)},${(cy - r*Math.cos(a)).toFixed(2)}`;
+  if(a1 - a0 >= 2*Math.PI - 1e-9) return `M${cx},${cy-r} A${r},${r} 0 1 1 ${cx-0.01},${cy-r} Z`;
+  return `M${cx},${cy} L${p(a0)} A${r},${r} 0 ${a1 - a0 > Math.PI ? 1 : 0} 1 ${p(a1)} Z`;
+}
+
+// period selector + category pie, monthly bars, net-worth line and month-over-month table; clicks drill down
+function ReportsPanel({ period, onPeriod, transactions, accounts, investments, prices, prefs, fx, onDrill, onExportPDF, onExportCSV }){
+  const [type, setType] = useState('expense');
+  const breakdown = useMemo(()=> categoryBreakdown(transactions, fx, period, type), [transactions, fx, period, type]);
+  const months = useMemo(()=> monthlyTotals(transactions, fx, period), [transactions, fx, period]);
+  const worth = useMemo(()=> netWorthSeries(transactions, investments, prices, fx, period, prefs.lotMethod, accounts), [transactions, investments, prices, fx, period, prefs.lotMethod, accounts]);
+  const mom = useMemo(()=> monthOverMonth(transactions, fx, period, type), [transactions, fx, period, type]);
+
+  const slices = breakdown.length > PIE_MAX_SLICES
+    ? [...breakdown.slice(0, PIE_MAX_SLICES-1), { category: null, categories: breakdown.slice(PIE_MAX_SLICES-1).map(c=> c.category), amount: breakdown.slice(PIE_MAX_SLICES-1).reduce((a,c)=> a+c.amount, 0), share: breakdown.slice(PIE_MAX_SLICES-1).reduce((a,c)=> a+c.share, 0) }]
+    : breakdown;
+  let angle = 0;
+  const arcs = slices.map((c,i)=>{ const a0 = angle; angle += c.share * 2*Math.PI; return { ...c, a0, a1: angle, color: CHART_COLORS[i % CHART_COLORS.length] }; });
+
+  const BW = 600; const BH = 180;
+  const maxBar = Math.max(1, ...months.flatMap(m=> [m.income, m.expense]));
+  const slot = BW / Math.max(1, months.length);
+  const lo = Math.min(0, ...worth.map(w=> w.netWorth)); const hi = Math.max(1, ...worth.map(w=> w.netWorth));
+  const wx = i => 4 + i * (BW - 8) / Math.max(1, worth.length - 1);
+  const wy = v => BH - 4 - (v - lo) / ((hi - lo) || 1) * (BH - 8);
+
+  function setPreset(preset){ onPeriod(preset === 'custom' ? { ...period, preset } : { preset, ...reportRange(preset, todayISO(), Number(prefs.fyStartMonth) || 1) }); }
+
+  return (
+    <div className="mt-2 space-y-4 text-sm">
+      <div className="flex flex-wrap gap-2 items-center">
+        <select value={period.preset} onChange={e=>setPreset(e.target.value)}>
+          {REPORT_PRESETS.map(([k,label])=> <option key={k} value={k}>{label}</option>)}
+          <option value="custom">Custom…</option>
+        </select>
+        {period.preset==='custom' && (
+          <>
+            <input type="date" value={period.from} onChange={e=>onPeriod(p=>({...p, from: e.target.value}))} />
+            <input type="date" value={period.to} onChange={e=>onPeriod(p=>({...p, to: e.target.value}))} />
+          </>
+        )}
+        <button type="button" onClick={onExportPDF}>Export PDF</button>
+        <button type="button" onClick={onExportCSV}>Export report CSV</button>
+      </div>
+
+      <div>
+        <div className="flex gap-2 items-center">
+          <span className="font-semibold">By category</span>
+          <select value={type} onChange={e=>setType(e.target.value)}>
+            <option value="expense">Spending</option>
+            <option value="income">Income</option>
+          </select>
+        </div>
+        {arcs.length === 0 ? <div className="text-muted">Nothing in this period.</div> : (
+          <div className="flex gap-4 items-center">
+            <svg viewBox="0 0 200 200" className="w-40 h-40">
+              {arcs.map(c=> (
+                <path key={c.category || 'other'} d={arcPath(100, 100, 95, c.a0, c.a1)} fill={c.color} className="cursor-pointer" onClick={()=> onDrill({ type, category: c.category || '', categories: c.categories || [] })}>
+                  <title>{c.category || 'Other'}: {fx.format(c.amount)}</title>
+                </path>
+              ))}
+            </svg>
+            <ul>
+              {arcs.map(c=> (
+                <li key={c.category || 'other'}>
+                  <button type="button" onClick={()=> onDrill({ type, category: c.category || '', categories: c.categories || [] })}>
+                    <span style={{ color: c.color }}>■</span> {c.category || 'Other'} — {fx.format(c.amount)} ({Math.round(c.share*100)}%)
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <div className="font-semibold">Income vs expense by month</div>
+        <svg viewBox={`0 0 ${BW} ${BH + 16}`} className="w-full h-48">
+          {months.map((m,i)=>{
+            const w = Math.max(2, slot/2 - 4);
+            const bar = (value, dx, color, t) => (
+              <rect x={i*slot + dx} y={BH - value/maxBar*BH} width={w} height={value/maxBar*BH} fill={color} className="cursor-pointer"
+                onClick={()=> onDrill({ ...monthSlice(m.month, period), type: t })}>
+                <title>{m.month} {t}: {fx.format(value)}</title>
+              </rect>
+            );
+            return (
+              <g key={m.month}>
+                {bar(m.income, 2, '#16a34a', 'income')}
+                {bar(m.expense, 2 + w + 2, '#dc2626', 'expense')}
+                {(months.length <= 12 || i % Math.ceil(months.length/12) === 0) && <text x={i*slot + 2} y={BH + 12} fontSize="10">{m.month.slice(2)}</text>}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <div>
+        <div className="font-semibold">Net worth (cash + investments)</div>
+        {worth.length > 0 && (
+          <svg viewBox={`0 0 ${BW} ${BH}`} className="w-full h-40">
+            <line x1={0} x2={BW} y1={wy(0)} y2={wy(0)} stroke="#9ca3af" strokeDasharray="4 4" />
+            <path d={worth.map((w,i)=> `${i ? 'L' : 'M'}${wx(i).toFixed(1)},${wy(w.netWorth).toFixed(1)}`).join(' ')} fill="none" stroke="#7c3aed" strokeWidth="2" />
+            {worth.map((w,i)=> (
+              <circle key={w.month} cx={wx(i)} cy={wy(w.netWorth)} r="4" fill="#7c3aed" className="cursor-pointer" onClick={()=> onDrill(monthSlice(w.month, period))}>
+                <title>{w.date}: {fx.format(w.netWorth)} (cash {fx.format(w.cash)}, investments {fx.format(w.investments)})</title>
+              </circle>
+            ))}
+          </svg>
+        )}
+      </div>
+
+      <div>
+        <div className="font-semibold">Month over month ({type === 'income' ? 'income' : 'spending'})</div>
+        <div className="overflow-auto">
+          <table className="w-full">
+            <thead><tr><th className="text-left">Category</th>{mom.months.map(m=> <th key={m} className="text-right">{m}</th>)}<th className="text-right">Change</th></tr></thead>
+            <tbody>
+              {mom.rows.map(r=> (
+                <tr key={r.category}>
+                  <td>{r.category}</td>
+                  {r.values.map((v,i)=> (
+                    <td key={mom.months[i]} className="text-right">
+                      {v ? <button type="button" onClick={()=> onDrill({ ...monthSlice(mom.months[i], period), type, category: r.category })}>{fx.format(v)}</button> : '—'}
+                    </td>
+                  ))}
+                  <td className={`text-right ${(type === 'expense' ? r.change : -r.change) > 0 ? 'text-red-600' : r.change ? 'text-green-600' : ''}`}>
+                    {r.change > 0 ? '+' : ''}{fx.format(r.change)}{r.pct !== null ? ` (${Math.round(r.pct*100)}%)` : ''}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// running-balance line with its confidence band, zero line and the first projected negative date
+function ForecastPanel({ forecast, months, onMonths, fx }){
+  const W = 600; const H = 200; const PAD = 4;
+  const { days } = forecast;
+  const lo = Math.min(0, forecast.startBalance, ...days.map(d=> d.low));
+  const hi = Math.max(0, forecast.startBalance, ...days.map(d=> d.high));
+  const x = i => PAD + (i / Math.max(1, days.length - 1)) * (W - 2*PAD);
+  const y = v => H - PAD - ((v - lo) / ((hi - lo) || 1)) * (H - 2*PAD);
+  const line = days.map((d,i)=> `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(d.balance).toFixed(1)}`).join(' ');
+  const band = [...days.map((d,i)=> `${x(i).toFixed(1)},${y(d.high).toFixed(1)}`), ...days.map((d,i)=> `${x(i).toFixed(1)},${y(d.low).toFixed(1)}`).reverse()].join(' ');
+  const negIndex = days.findIndex(d=> d.date === forecast.firstNegative);
+  const lowest = days.reduce((m,d)=> !m || d.balance < m.balance ? d : m, null);
+
+  return (
+    <div className="mt-2 space-y-2 text-sm">
+      <div className="flex flex-wrap gap-2 items-center">
+        <label>Horizon <select value={months} onChange={e=>onMonths(Number(e.target.value))}>
+          {[3,6,9,12].map(m=> <option key={m} value={m}>{m} months</option>)}
+        </select></label>
+        <span>Today {fx.format(forecast.startBalance)} → {forecast.end} {fx.format(forecast.endBalance)}</span>
+        {lowest && <span className="text-muted">Lowest {fx.format(lowest.balance)} on {lowest.date}</span>}
+      </div>
+      {forecast.firstNegative ? (
+        <div className="p-2 rounded bg-red-100 text-red-700">Balance is projected to go negative on <strong>{forecast.firstNegative}</strong>.</div>
+      ) : forecast.firstNegativeLow ? (
+        <div className="p-2 rounded bg-yellow-100 text-yellow-800">Balance stays positive on the expected path, but could dip below zero from {forecast.firstNegativeLow} if spending runs high.</div>
+      ) : null}
+      {days.length > 0 && (
+        <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-48">
+          <polygon points={band} fill="rgba(59,130,246,0.15)" />
+          <line x1={PAD} x2={W-PAD} y1={y(0)} y2={y(0)} stroke="#9ca3af" strokeDasharray="4 4" />
+          <path d={line} fill="none" stroke="#2563eb" strokeWidth="2" />
+          {negIndex >= 0 && <circle cx={x(negIndex)} cy={y(days[negIndex].balance)} r="4" fill="#dc2626" />}
+        </svg>
+      )}
+      <div className="text-xs text-muted">
+        Recurring schedules plus average non-recurring income & spend per category{forecast.seasonal ? ' by month of year' : ''}{forecast.trend !== 1 ? `, spending scaled ×${forecast.trend.toFixed(2)} to the recent trend` : ''}. Shaded: likely range.
+      </div>
+    </div>
+  );
+}
+
+function TaxPanel({ report, years, onYear, fyStartMonth, settings, onFyStart, onSettings, onDrill, onExportPDF, onExportCSV, fx }){
+  const [draft, setDraft] = useState(null); // { ltcgMonths, caps:{ [id]: text } } while editing
+  const { fy, sections, gains } = report;
 
-  // App state
-  const [transactions, setTransactions] = useState([]); // {id, type, amount, category, note, date, currency, recurring:{interval, endDate}}
-  const [budgets, setBudgets] = useState({});
-  const [goals, setGoals] = useState([]); // {id,name,target,deadline,allocated}
-  const [investments, setInvestments] = useState([]); // {id, type, symbol, quantity, avgPrice, currentPrice(optional)}
-  const [prefs, setPrefs] = useState({ currency: 'INR', theme: 'light', alerts: true });
-  const [rates, setRates] = useState({});
+  function edit(){ setDraft({ ltcgMonths: String(settings.ltcgMonths), caps: Object.fromEntries(TAX_SECTIONS.map(s=> [s.id, settings.caps[s.id] ?? ''])) }); }
+  function save(e){
+    e.preventDefault();
+    // every section is written (null = the built-in cap) so a cleared override doesn't survive a merge
+    const caps = Object.fromEntries(TAX_SECTIONS.map(s=>{
+      const v = String(draft.caps[s.id] ?? '').trim();
+      return [s.id, v === '' || !Number.isFinite(Number(v)) ? null : Number(v)];
+    }));
+    onSettings({ ltcgMonths: Math.max(1, Math.round(Number(draft.ltcgMonths)) || DEFAULT_TAX_SETTINGS.ltcgMonths), caps });
+    setDraft(null);
+  }
 
-  // UI
-  const [loading, setLoading] = useState(false);
+  return (
+    <div className="mt-2 text-sm space-y-2">
+      <div className="flex flex-wrap gap-2 items-center">
+        <select value={fy.start} onChange={e=> onYear(e.target.value)}>
+          {years.map(y=> <option key={y.start} value={y.start}>{y.label}</option>)}
+        </select>
+        <label>Financial year <select value={fyStartMonth} onChange={e=> onFyStart(Number(e.target.value))}>
+          {FY_START_MONTHS.map(([m, label])=> <option key={m} value={m}>{label}</option>)}
+        </select></label>
+        <button type="button" onClick={onExportPDF}>Export PDF</button>
+        <button type="button" onClick={onExportCSV}>Export CSV</button>
+      </div>
+      <div className="text-xs text-muted">
+        {fy.start} → {fy.end} • report year presets follow this financial year • caps in {TAX_CURRENCY}{fx.currency !== TAX_CURRENCY && `, shown in ${fx.currency}`}
+        {!draft && <button type="button" className="ml-1" onClick={edit}>Change caps</button>}
+      </div>
+      {draft && (
+        <form onSubmit={save} className="space-y-1">
+          <label className="block">Long-term after <input type="number" min="1" className="w-16" value={draft.ltcgMonths} onChange={e=>setDraft(d=>({...d, ltcgMonths: e.target.value}))} /> months held</label>
+          {TAX_SECTIONS.filter(s=> !s.paidOnly).map(s=> (
+            <label key={s.id} className="block">{s.id} cap <input className="w-28" placeholder={s.cap === null ? 'no cap' : String(s.cap)} value={draft.caps[s.id]} onChange={e=> setDraft(d=>({...d, caps: { ...d.caps, [s.id]: e.target.value }}))} /></label>
+          ))}
+          <div className="flex gap-2">
+            <button type="submit">Save</button>
+            <button type="button" onClick={()=> setDraft(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
 
-  // Auth listeners
-  useEffect(()=>{
-    const unsub = onAuthStateChanged(auth, async (u)=>{
-      if(u){
-        setUser(u);
-        setUidLocal(u.uid);
-        // start syncing user data
-        startSync(u.uid);
-      }else{
-        setUser(null);
-        setUidLocal(null);
-        // clear local state
-        setTransactions([]); setBudgets({}); setGoals([]); setInvestments([]);
-      }
-    });
-    return ()=>unsub();
-  },[]);
+      <table className="w-full">
+        <thead><tr><th className="text-left">Section</th><th className="text-right">Claimed</th><th className="text-right">Cap</th><th className="text-right">Left</th></tr></thead>
+        <tbody>
+          {sections.map(x=> (
+            <tr key={x.id} className="border-b">
+              <td title={x.label}>
+                {x.items.length ? <button type="button" className="underline" onClick={()=> onDrill({ tax: x.id, from: fy.start, to: fy.end })}>{x.id}</button> : x.id}
+                <span className="ml-1 text-xs text-muted">{x.label.split(' — ')[1]}</span>
+              </td>
+              <td className="text-right">{fx.format(x.total)}</td>
+              <td className="text-right">{x.paidOnly ? <span className="text-xs text-muted">paid only</span> : x.cap === null ? '—' : fx.format(x.cap)}</td>
+              <td className={`text-right ${x.cap !== null && x.total > x.cap ? 'text-red-600' : ''}`}>{x.cap === null ? '' : x.total > x.cap ? `${fx.format(x.total - x.cap)} over` : fx.format(x.remaining)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div>Deductions within caps: <strong>{fx.format(report.deductions)}</strong></div>
+      {report.paid > 0 && <div className="text-xs text-muted">Paid under {PAID_ONLY_SECTIONS}: {fx.format(report.paid)} — not in the total; the allowable amount depends on salary and rent (HRA) or the donee (80G).</div>}
 
-  // Fetch exchange rates periodically
-  useEffect(()=>{
-    fetchRates();
-    const id = setInterval(fetchRates, 1000*60*30); // every 30 minutes
-    return ()=>clearInterval(id);
-  },[]);
+      <div className="font-semibold">Capital gains</div>
+      <div className="flex flex-wrap gap-3">
+        <span>Short-term: <strong>{fx.format(gains.short)}</strong></span>
+        <span>Long-term: <strong>{fx.format(gains.long)}</strong></span>
+        <span>Exempt: {fx.format(gains.exemption)}</span>
+        <span>Taxable long-term: {fx.format(gains.taxableLong)}</span>
+      </div>
+      <div className="text-xs text-muted">Lots held more than {settings.ltcgMonths} months are long-term; transactions tagged STCG/LTCG are included.</div>
+      {gains.rows.length > 0 && (
+        <table className="w-full">
+          <thead><tr><th className="text-left">Term</th><th className="text-left">Symbol</th><th className="text-left">Held</th><th className="text-right">Cost</th><th className="text-right">Proceeds</th><th className="text-right">Gain</th></tr></thead>
+          <tbody>
+            {gains.rows.map((r, i)=> (
+              <tr key={i} className="border-b">
+                <td>{r.term === 'long' ? 'Long' : 'Short'}</td>
+                <td>{r.symbol}{r.quantity !== null && <span className="ml-1 text-xs text-muted">×{Number(r.quantity.toFixed(4))}</span>}</td>
+                <td>{r.acquired ? `${r.acquired} → ${r.sold}` : r.sold}</td>
+                <td className="text-right">{r.cost === null ? '' : fx.format(r.cost)}</td>
+                <td className="text-right">{r.proceeds === null ? '' : fx.format(r.proceeds)}</td>
+                <td className={`text-right ${r.gain < 0 ? 'text-red-600' : 'text-green-600'}`}>{fx.format(r.gain)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
 
-  async function fetchRates(){
-    try{
-      const res = await fetch(EXCHANGE_API + '?base=USD');
-      const data = await res.json();
-      if(data && data.rates) setRates(data.rates);
-    }catch(e){ console.warn('Failed to fetch exchange rates', e); }
-  }
+function BudgetPanel({ budgets, transactions, onSave, onRemove, prefs, fx }){
+  const blank = { id: null, category: '', amount: '', period: 'monthly', start: '', end: '', rollover: false, alerts: '' };
+  const [form, setForm] = useState(blank);
+  const [month, setMonth] = useState(todayISO().slice(0,7));
 
-  // ---------- Firestore sync (basic) ----------
-  async function startSync(userId){
-    // subscribe to collections: transactions, budgets, goals, investments, prefs
-    const txQuery = query(collection(db, 'users', userId, 'transactions'), orderBy('date','desc'));
-    const unsubTx = onSnapshot(txQuery, snapshot => {
-      const txs = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
-      setTransactions(txs);
-    });
+  const index = useMemo(()=> expenseIndex(transactions, fx), [transactions, fx]);
+  const summary = useMemo(()=> envelopeSummary(budgets, transactions, fx, month, index), [budgets, transactions, fx, month, index]);
+  const history = useMemo(()=> budgetHistory(budgets, transactions, fx, month, index), [budgets, transactions, fx, month, index]);
 
-    const budRef = doc(db, 'users', userId, 'meta', 'budgets');
-    const unsubBud = onSnapshot(budRef, snap => {
-      if(snap.exists()) setBudgets(snap.data());
-    });
+  function submit(e){
+    e.preventDefault();
+    if(!form.category || !form.amount) return;
+    if(form.period==='custom' && (!form.start || !form.end || form.end < form.start)) return;
+    const existing = budgets.items.find(b=> b.id === form.id);
+    const item = { id: form.id || uid(), category: form.category, amount: Number(form.amount), period: form.period, rollover: form.period==='monthly' && form.rollover, alertThresholds: parseThresholds(form.alerts) };
+    if(form.period==='custom'){ item.start = form.start; item.end = form.end; onSave(item); }
+    else{
+      // a changed amount applies from the month being viewed on; earlier months keep theirs
+      const startMonth = existing?.startMonth && existing.startMonth < month ? existing.startMonth : month;
+      const kept = existing && existing.period !== 'custom' ? withAmountHistory(existing) : null;
+      const next = { ...item, startMonth, amounts: kept ? kept.amounts : [] };
+      onSave(kept && budgetAmountFor(kept, month) === item.amount ? { ...next, amount: kept.amount } : setBudgetAmount(next, item.amount, month));
+    }
+    setForm(blank);
+  }
 
-    const goalsQuery = query(collection(db, 'users', userId, 'goals'), orderBy('deadline','asc'));
-    const unsubGoals = onSnapshot(goalsQuery, snap => setGoals(snap.docs.map(d=>({ id: d.id, ...d.data() }))));
+  function edit(item){ setForm({ ...blank, ...item, amount: String(item.period === 'custom' ? item.amount : budgetAmountFor(item, month)), alerts: (item.alertThresholds || []).join(', ') }); }
 
-    const invQuery = query(collection(db, 'users', userId, 'investments'));
-    const unsubInv = onSnapshot(invQuery, snap => setInvestments(snap.docs.map(d=>({ id: d.id, ...d.data() }))));
+  return (
+    <div className="mt-2 space-y-3 text-sm">
+      <form onSubmit={submit} className="flex flex-wrap gap-2 items-center">
+        <input placeholder="Category" value={form.category} onChange={e=>setForm(f=>({...f, category: e.target.value}))} />
+        <input placeholder={`Amount (${budgets.currency || prefs.currency})`} value={form.amount} onChange={e=>setForm(f=>({...f, amount: e.target.value}))} />
+        <select value={form.period} onChange={e=>setForm(f=>({...f, period: e.target.value}))}>
+          <option value="monthly">Monthly</option>
+          <option value="custom">Custom period</option>
+        </select>
+        {form.period==='custom' ? (
+          <>
+            <input type="date" value={form.start} onChange={e=>setForm(f=>({...f, start: e.target.value}))} />
+            <input type="date" value={form.end} onChange={e=>setForm(f=>({...f, end: e.target.value}))} />
+          </>
+        ) : (
+          <label><input type="checkbox" checked={form.rollover} onChange={e=>setForm(f=>({...f, rollover: e.target.checked}))} /> Roll over unspent / overspent</label>
+        )}
+        <input className="w-32" placeholder="Alert at % (default)" title="e.g. 50, 80, 100 — empty uses the notification settings" value={form.alerts} onChange={e=>setForm(f=>({...f, alerts: e.target.value}))} />
+        <button type="submit">{form.id ? (form.period === 'monthly' ? `Save from ${month}` : 'Save budget') : 'Add budget'}</button>
+        {form.id && <button type="button" onClick={()=>setForm(blank)}>Cancel</button>}
+      </form>
 
-    const prefsRef = doc(db, 'users', userId, 'meta', 'prefs');
-    const unsubPrefs = onSnapshot(prefsRef, snap=>{ if(snap.exists()) setPrefs(snap.data()); });
+      <div className="flex items-center gap-2">
+        <input type="month" value={month} onChange={e=> e.target.value && setMonth(e.target.value)} />
+        <span>Income {fx.format(summary.income)} • Assigned {fx.format(summary.assigned)} •</span>
+        <strong className={summary.unassigned < 0 ? 'text-red-600' : 'text-green-600'}>Unassigned {fx.format(summary.unassigned)}</strong>
+      </div>
 
-    // cleanup when user signs out.
-    return ()=>{ unsubTx(); unsubBud(); unsubGoals(); unsubInv(); unsubPrefs(); };
-  }
+      <div className="space-y-2">
+        {summary.envelopes.length === 0 && <div className="text-muted">No budgets for this month.</div>}
+        {summary.envelopes.map(({ item, status })=> (
+          <div key={item.id}>
+            <div className="flex justify-between">
+              <span>
+                {item.category}{item.period==='custom' ? ` (${status.start} → ${status.end})` : ''}
+                {status.carried !== 0 && <span className="text-xs text-muted"> {status.carried > 0 ? '+' : ''}{fx.format(status.carried)} rolled over</span>}
+              </span>
+              <span className={status.remaining < 0 ? 'text-red-600' : ''}>{fx.format(status.spent)} / {fx.format(status.available)}</span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded">
+              <div className={`h-2 rounded ${status.pct >= 1 ? 'bg-red-500' : status.pct >= 0.8 ? 'bg-yellow-500' : 'bg-green-500'}`} style={{ width: `${Math.min(100, Math.round(status.pct*100))}%` }} />
+            </div>
+            <div className="flex gap-2 text-xs">
+              <button type="button" onClick={()=>edit(item)}>Edit</button>
+              <button type="button" onClick={()=>onRemove(item.id)}>Delete</button>
+            </div>
+          </div>
+        ))}
+      </div>
 
-  // ---------- Auth helpers ----------
-  async function loginWithGoogle(){
-    const provider = new GoogleAuthProvider();
-    try{ await signInWithPopup(auth, provider); }catch(e){ console.error(e); }
-  }
-  async function logout(){ await signOut(auth); }
+      <div>
+        <div className="font-semibold">Budget vs actual (monthly budgets)</div>
+        <table className="w-full">
+          <thead><tr><th className="text-left">Month</th><th>Budgeted</th><th>Actual</th><th>Variance</th></tr></thead>
+          <tbody>
+            {history.map(r=> (
+              <tr key={r.month}>
+                <td>{r.month}</td>
+                <td className="text-right">{fx.format(r.budgeted)}</td>
+                <td className="text-right">{fx.format(r.actual)}</td>
+                <td className={`text-right ${r.variance < 0 ? 'text-red-600' : 'text-green-600'}`}>{fx.format(r.variance)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
 
-  // ---------- Transaction CRUD (with Firestore fallback) ----------
-  async function addTransaction(tx){
-    if(uidLocal){
-      await addDoc(collection(db,'users',uidLocal,'transactions'), { ...tx, createdAt: serverTimestamp() });
-      // handle recurring: if tx.recurring, create next occurrence (simple approach)
-      if(tx.recurring && tx.recurring.interval){
-        scheduleNextRecurring(tx);
-      }
-    }else{
-      // store locally
-      setTransactions(prev => [{ id: uid(), ...tx }, ...prev]);
-    }
-  }
+// shared ledger: members & invitations (owner manages), pending invitations for me, settle-up between members
+function LedgersPanel({ user, ledger, role, invitations, transactions, settlements, onCreate, onInvite, onCancelInvite, onRole, onRemoveMember, onLeave, onAnswer, onSettle, prefs, fx }){
+  const [name, setName] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'editor' });
+  const [payment, setPayment] = useState(null); // { from, to, amount, date } being recorded
+  const settle = useMemo(()=> ledger ? settleUp(transactions, settlements, ledger, fx) : null, [ledger, transactions, settlements, fx]);
+  const label = id => (ledger && ledger.names && ledger.names[id]) || (id === user.uid ? 'You' : id);
+  const owner = role === 'owner';
 
-  async function updateTransaction(id, updates){
-    if(uidLocal){
-      await updateDoc(doc(db,'users',uidLocal,'transactions', id), updates);
-    }else{
-      setTransactions(prev => prev.map(t=> t.id===id? {...t,...updates}: t));
-    }
+  function create(e){ e.preventDefault(); if(!name.trim()) return; onCreate(name.trim()); setName(''); }
+  function sendInvite(e){
+    e.preventDefault();
+    if(!/^[^@\s]+@[^@\s]+$/.test(invite.email.trim())) return;
+    onInvite(invite.email, invite.role);
+    setInvite({ email: '', role: invite.role });
   }
-
-  async function removeTransaction(id){
-    if(uidLocal){
-      // Note: Firestore delete not implemented here; in production, use deleteDoc
-      await updateDoc(doc(db,'users',uidLocal,'transactions', id), { deleted: true });
-    }else{
-      setTransactions(prev => prev.filter(t=>t.id!==id));
-    }
+  async function savePayment(){
+    const amount = Number(payment.amount);
+    if(!(amount > 0) || payment.from === payment.to) return;
+    await onSettle({ from: payment.from, to: payment.to, amount, currency: prefs.currency, date: payment.date });
+    setPayment(null);
   }
 
-  // schedule next occurrence of a recurring transaction
-  async function scheduleNextRecurring(tx){
-    const nextDate = addInterval(tx.date, tx.recurring.interval);
-    if(!nextDate) return;
-    if(tx.recurring.endDate && nextDate > tx.recurring.endDate) return;
-    const newTx = { ...tx, date: nextDate, recurring: tx.recurring }; delete newTx.id; // new doc
-    if(uidLocal) await addDoc(collection(db,'users',uidLocal,'transactions'), newTx);
-    else setTransactions(prev=> [{ id: uid(), ...newTx }, ...prev]);
-  }
+  return (
+    <div className="mt-2 text-sm space-y-3">
+      {invitations.map(l=> (
+        <div key={l.id} className="p-2 border rounded flex flex-wrap items-center gap-2">
+          <span>{(l.names && l.names[l.owner]) || 'Someone'} invited you to “{l.name}” as {l.invites[normalizeEmail(user.email)]}</span>
+          <button type="button" onClick={()=> onAnswer(l, true)}>Accept</button>
+          <button type="button" onClick={()=> onAnswer(l, false)}>Decline</button>
+        </div>
+      ))}
 
-  // ---------- Goals ----------
-  async function createGoal(goal){
-    if(uidLocal) await addDoc(collection(db,'users',uidLocal,'goals'), goal);
-    else setGoals(prev => [{ id: uid(), ...goal }, ...prev]);
-  }
+      {!ledger ? (
+        <form onSubmit={create} className="flex gap-2">
+          <input placeholder="Household ledger name" value={name} onChange={e=>setName(e.target.value)} />
+          <button type="submit">Create shared ledger</button>
+        </form>
+      ) : (
+        <>
+          <div>
+            <div className="font-semibold">{ledger.name} — you are {role}</div>
+            {Object.entries(ledger.members || {}).map(([id, memberRole])=> (
+              <div key={id} className="flex items-center gap-2">
+                <span className="flex-1">{label(id)}{id === user.uid ? ' (you)' : ''}</span>
+                {owner && id !== ledger.owner ? (
+                  <>
+                    <select value={memberRole} onChange={e=> onRole(id, e.target.value)}>
+                      {LEDGER_ROLES.filter(([k])=> k !== 'owner').map(([k, l])=> <option key={k} value={k}>{l}</option>)}
+                    </select>
+                    <button type="button" onClick={()=> onRemoveMember(id)}>Remove</button>
+                  </>
+                ) : <span className="text-xs text-muted">{memberRole}</span>}
+              </div>
+            ))}
+            {Object.entries(ledger.invites || {}).map(([email, memberRole])=> (
+              <div key={email} className="flex items-center gap-2 text-muted">
+                <span className="flex-1">{email} (invited, {memberRole})</span>
+                {owner && <button type="button" onClick={()=> onCancelInvite(email)}>Revoke</button>}
+              </div>
+            ))}
+          </div>
 
-  // ---------- Investments ----------
-  async function addInvestment(inv){ if(uidLocal) await addDoc(collection(db,'users',uidLocal,'investments'), inv); else setInvestments(prev=>[{id:uid(),...inv},...prev]); }
-
-  // ---------- Insights (rule-based) ----------
-  const insights = useMemo(()=>{
-    const last30 = transactions.filter(t=> new Date(t.date) >= new Date(Date.now()-1000*60*60*24*30));
-    const spendByCat = {};
-    last30.filter(t=> t.type==='expense').forEach(t=> spendByCat[t.category] = (spendByCat[t.category]||0)+t.amount);
-    const topCat = Object.entries(spendByCat).sort((a,b)=>b[1]-a[1])[0];
-    const incomeLastMonth = transactions.filter(t=> t.type==='income' && new Date(t.date) >= new Date(Date.now()-1000*60*60*24*30)).reduce((a,b)=>a+b.amount,0);
-    const expenseLastMonth = last30.filter(t=> t.type==='expense').reduce((a,b)=>a+b.amount,0);
-    const savingRate = incomeLastMonth ? Math.round(((incomeLastMonth - expenseLastMonth)/incomeLastMonth)*100) : null;
-    const items = [];
-    if(topCat) items.push({ id: 'top-spend', text: `Top spending category last 30 days: ${topCat[0]} (${formatAmount(topCat[1], prefs.currency==='INR'?'₹':'$')})`});
-    if(savingRate !== null) items.push({ id: 'save-rate', text: `Savings rate last 30 days: ${savingRate}%`});
-    if(expenseLastMonth > (incomeLastMonth*0.8)) items.push({ id: 'high-expense', text: 'Warning: Expenses are >80% of income last 30 days.'});
-    // forecast: linear projection using simple average monthly net
-    const monthlyGrouped = {};
-    transactions.forEach(t=>{
-      const m = t.date.slice(0,7);
-      monthlyGrouped[m] = monthlyGrouped[m] || 0; monthlyGrouped[m] += (t.type==='income'? t.amount: -t.amount);
-    });
-    const months = Object.values(monthlyGrouped);
-    const avg = months.length ? (months.reduce((a,b)=>a+b,0)/months.length) : 0;
-    items.push({ id: 'forecast', text: `Projected monthly net (simple average): ${formatAmount(Math.round(avg), prefs.currency==='INR'?'₹':'$')}`});
-    return items;
-  }, [transactions, prefs]);
+          {owner ? (
+            <form onSubmit={sendInvite} className="flex gap-2">
+              <input type="email" placeholder="Email to invite" value={invite.email} onChange={e=>setInvite(i=>({...i, email: e.target.value}))} />
+              <select value={invite.role} onChange={e=>setInvite(i=>({...i, role: e.target.value}))}>
+                {LEDGER_ROLES.filter(([k])=> k !== 'owner').map(([k, l])=> <option key={k} value={k}>{l}</option>)}
+              </select>
+              <button type="submit">Invite</button>
+            </form>
+          ) : (
+            <button type="button" onClick={onLeave}>Leave ledger</button>
+          )}
 
-  // ---------- PDF & CSV Export ----------
-  function exportPDF(){
-    const doc = new jsPDF();
-    doc.setFontSize(18); doc.text('Personal Finance Report', 14, 20);
-    doc.setFontSize(12); doc.text(`Generated: ${new Date().toLocaleString()}`, 14, 30);
-    let y = 40;
-    doc.setFontSize(14); doc.text('Summary', 14, y); y+=8;
-    const income = transactions.filter(t=>t.type==='income').reduce((a,b)=>a+b.amount,0);
-    const expense = transactions.filter(t=>t.type==='expense').reduce((a,b)=>a+b.amount,0);
-    doc.setFontSize(11); doc.text(`Total income: ${formatAmount(income, prefs.currency==='INR'?'₹':'$')}`, 14, y); y+=7;
-    doc.text(`Total expense: ${formatAmount(expense, prefs.currency==='INR'?'₹':'$')}`, 14, y); y+=7;
-    doc.text(`Net: ${formatAmount(income-expense, prefs.currency==='INR'?'₹':'$')}`, 14, y); y+=12;
-    doc.setFontSize(12); doc.text('Recent transactions', 14, y); y+=8;
-    transactions.slice(0,20).forEach(t=>{
-      doc.setFontSize(10); doc.text(`${t.date} | ${t.type} | ${t.category} | ${formatAmount(t.amount, prefs.currency==='INR'?'₹':'$')} | ${t.note || ''}`, 14, y);
-      y+=6; if(y>270){ doc.addPage(); y=20; }
-    });
-    doc.save('finance-report.pdf');
-  }
+          <div>
+            <div className="font-semibold">Settle up</div>
+            <div className="text-xs text-muted">Expenses are split equally between owners and editors and credited to whoever entered them.</div>
+            {settle.balances.map(b=> (
+              <div key={b.id} className="flex justify-between">
+                <span>{label(b.id)}</span>
+                <span title={`Paid ${fx.format(b.paid)} • share ${fx.format(b.share)}`} className={b.net < 0 ? 'text-red-600' : b.net > 0 ? 'text-green-600' : ''}>
+                  {b.net > 0 ? `is owed ${fx.format(b.net)}` : b.net < 0 ? `owes ${fx.format(-b.net)}` : 'settled'}
+                </span>
+              </div>
+            ))}
+            {settle.transfers.length === 0 && <div className="text-muted">Everyone is square.</div>}
+            {settle.transfers.map(t=> (
+              <div key={`${t.from}-${t.to}`} className="flex items-center gap-2">
+                <span className="flex-1">{label(t.from)} → {label(t.to)}: <strong>{fx.format(t.amount)}</strong></span>
+                {canWrite(role) && <button type="button" onClick={()=> setPayment({ ...t, amount: String(t.amount), date: todayISO() })}>Record payment</button>}
+              </div>
+            ))}
+            {payment && (
+              <div className="flex flex-wrap gap-2 items-center">
+                <span>{label(payment.from)} paid {label(payment.to)}</span>
+                <input className="w-24" value={payment.amount} onChange={e=> setPayment(p=>({...p, amount: e.target.value}))} />
+                <input type="date" value={payment.date} onChange={e=> setPayment(p=>({...p, date: e.target.value}))} />
+                <button type="button" onClick={savePayment}>Save</button>
+                <button type="button" onClick={()=> setPayment(null)}>Cancel</button>
+              </div>
+            )}
+            {settlements.filter(s=> !s.deleted).length > 0 && (
+              <details>
+                <summary className="text-xs">Recorded payments</summary>
+                {[...settlements].filter(s=> !s.deleted).sort((a, b)=> (b.date || '').localeCompare(a.date || '')).map(s=> (
+                  <div key={s.id} className="text-xs">{s.date} • {label(s.from)} → {label(s.to)} {formatAmount(s.amount, s.currency)}</div>
+                ))}
+              </details>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
 
-  function exportCSV(){
-    const header = ['id','type','amount','currency','category','note','date'];
-    const rows = transactions.map(t=> [t.id,t.type,t.amount,t.currency||prefs.currency,t.category,t.note||'',t.date].map(v=>`"${String(v).replace(/"/g,'""')}"`).join(','));
-    const csv = [header.join(','),...rows].join('
-');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob); const a = document.createElement('a'); a.href=url; a.download='transactions.csv'; a.click(); URL.revokeObjectURL(url);
-  }
+// full JSON backup (optionally encrypted) and restore with a merge / replace preview
+function BackupPanel({ current, canRestore, onExport, onRestore }){
+  const [passphrase, setPassphrase] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [file, setFile] = useState(null); // { name, backup } as parsed from disk
+  const [secret, setSecret] = useState(''); // passphrase of the file being restored
+  const [loaded, setLoaded] = useState(null); // readBackup() result
+  const [mode, setMode] = useState('merge');
+  const [status, setStatus] = useState('');
+  const plan = useMemo(()=> loaded && loaded.data ? restorePlan(current(), loaded.data, mode) : null, [loaded, mode]);
 
-  // ---------- Notifications (browser) ----------
-  useEffect(()=>{
-    if(!('Notification' in window)) return;
-    if(Notification.permission === 'default') Notification.requestPermission();
-  },[]);
+  async function download(){
+    setBusy(true);
+    try{
+      await onExport(passphrase);
+      setStatus(passphrase ? 'Encrypted backup downloaded. The passphrase cannot be recovered, keep it safe.' : 'Backup downloaded.');
+    }finally{ setBusy(false); }
+  }
 
-  function notifyIfNeeded(){
-    // example: if any budget > 90% spent in current month
-    const monthKey = new Date().toISOString().slice(0,7);
-    const spentByCat = {};
-    transactions.filter(t=> t.type==='expense' && t.date.startsWith(monthKey)).forEach(t=> spentByCat[t.category] = (spentByCat[t.category]||0) + t.amount);
-    for(const [cat,spent] of Object.entries(spentByCat)){
-      const b = budgets[cat];
-      if(b && spent / b > 0.9 && Notification.permission === 'granted'){
-        new Notification('Budget Alert', { body: `You're at ${Math.round((spent/b)*100)}% of your budget for ${cat}` });
-      }
-    }
+  async function onFile(e){
+    const f = e.target.files?.[0];
+    if(!f) return;
+    setStatus(''); setSecret('');
+    let backup = null;
+    try{ backup = JSON.parse(await f.text()); }catch(err){ setFile(null); setLoaded({ error: 'The file is not valid JSON.' }); return; }
+    setFile({ name: f.name, backup });
+    setLoaded(await readBackup(backup));
   }
-  useEffect(()=>{ if(prefs.alerts) notifyIfNeeded(); }, [transactions, budgets]);
 
-  // ---------- Simple bank integration placeholder ----------
-  // In production, you'd integrate via a bank-aggregator (Plaid/SaltEdge) and implement secure server endpoints.
-  // Here we provide a function to accept webhook-like JSON payloads (user would paste or developer would call).
-  async function ingestBankWebhook(payload){
-    // payload example: { transactions: [ { date, amount, description, type } ] }
-    if(!payload?.transactions) return;
-    const mapped = payload.transactions.map(pt => ({ id: uid(), type: pt.amount>0? 'income':'expense', amount: Math.abs(pt.amount), category: pt.category||'Uncategorized', date: pt.date || todayISO(), note: pt.description || '' }));
-    if(uidLocal){ mapped.forEach(async m => await addDoc(collection(db,'users',uidLocal,'transactions'), m)); }
-    else setTransactions(prev=> [...mapped, ...prev]);
+  async function restore(){
+    setBusy(true);
+    try{ await onRestore(plan); setFile(null); setLoaded(null); setStatus(`Restored ${file.name}.`); }
+    finally{ setBusy(false); }
   }
 
-  // ---------- Simple UI (very basic) ----------
   return (
-    <div className={`min-h-screen p-6 ${prefs.theme==='dark'? 'bg-slate-900 text-white':'bg-gray-50 text-slate-900'}`}>
-      <header className="flex items-center justify-between mb-6">
-        <div>
-          <h1 className="text-2xl font-bold">Advanced Personal Finance</h1>
-          <div className="text-sm text-muted">Cloud-sync, recurring txns, goals, investments, multi-currency</div>
-        </div>
-        <div className="flex items-center gap-3">
-          <select value={prefs.currency} onChange={(e)=> setPrefs(p=>({...p, currency: e.target.value}))}>
-            <option value="INR">INR (₹)</option>
-            <option value="USD">USD ($)</option>
-            <option value="EUR">EUR (€)</option>
-          </select>
-          <button onClick={()=> setPrefs(p=>({...p, theme: p.theme==='dark'?'light':'dark'}))}>{prefs.theme==='dark'?'Light':'Dark'}</button>
-          {user ? (
-            <>
-              <span className="text-sm">{user.displayName || user.email}</span>
-              <button onClick={logout}>Sign out</button>
-            </>
-          ) : (
+    <div className="mt-2 text-sm space-y-3">
+      <div className="flex flex-wrap gap-2">
+        <input type="password" placeholder="Passphrase (optional)" value={passphrase} onChange={e=>setPassphrase(e.target.value)} />
+        <button type="button" disabled={busy} onClick={download}>Download backup</button>
+      </div>
+
+      {canRestore && (
+        <div className="space-y-2">
+          <input type="file" accept=".json,application/json" onChange={onFile} />
+          {loaded && loaded.encrypted && (
+            <div className="flex gap-2">
+              <input type="password" placeholder="Backup passphrase" value={secret} onChange={e=>setSecret(e.target.value)} />
+              <button type="button" onClick={async ()=> setLoaded(await readBackup(file.backup, secret))}>Unlock</button>
+            </div>
+          )}
+          {loaded && loaded.error && <div className="text-red-600">{loaded.error}</div>}
+          {plan && (
             <>
-              <button onClick={loginWithGoogle}>Sign in with Google</button>
+              <div className="text-xs text-muted">
+                {file.backup.label ? `“${file.backup.label}”, ` : ''}exported {String(file.backup.exportedAt || '').slice(0,10)} • schema {loaded.version}
+                {loaded.version < SCHEMA_VERSION && ` (upgraded to ${SCHEMA_VERSION})`}
+              </div>
+              <label className="block"><input type="radio" checked={mode==='merge'} onChange={()=>setMode('merge')} /> Merge: restore the backup over current data, keep everything else</label>
+              <label className="block"><input type="radio" checked={mode==='replace'} onChange={()=>setMode('replace')} /> Replace: also remove what the backup does not contain</label>
+              <table className="w-full text-xs">
+                <thead><tr><th className="text-left">Collection</th><th>New</th><th>Changed</th><th>Same</th>{mode==='replace' && <th>Removed</th>}</tr></thead>
+                <tbody>
+                  {plan.summary.filter(r=> r.added || r.updated || r.unchanged || r.removed).map(r=> (
+                    <tr key={r.coll}>
+                      <td>{r.coll}</td><td className="text-center">{r.added}</td><td className="text-center">{r.updated}</td><td className="text-center">{r.unchanged}</td>
+                      {mode==='replace' && <td className={`text-center ${r.removed ? 'text-red-600' : ''}`}>{r.removed}</td>}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button type="button" disabled={busy || !plan.writes.length} onClick={restore}>{mode==='replace' ? 'Replace with backup' : 'Merge backup'}</button>
             </>
           )}
         </div>
-      </header>
+      )}
+      {status && <div className="text-green-600">{status}</div>}
+    </div>
+  );
+}
 
-      <main className="grid md:grid-cols-3 gap-4">
-        <section className="md:col-span-2 space-y-4">
-          {/* Add transactions form (simplified) */}
-          <AddTxnForm onAdd={addTransaction} defaultCurrency={prefs.currency} />
+// alert settings and every alert raised so far (the only place they show when browser notifications are blocked)
+function NotificationCenter({ notifications, enabled, permission, settings, onEnable, onAskPermission, onSettings, onRead, onClear }){
+  const [draft, setDraft] = useState(null); // settings being edited, thresholds as text
+  const visible = notifications.filter(n=> !n.cleared);
+  const unread = visible.filter(n=> !n.read).length;
 
-          {/* Transactions list */}
-          <div className="bg-white rounded shadow p-4">
-            <h3 className="font-semibold">Recent transactions</h3>
-            <div className="mt-2">
-              {transactions.slice(0,50).map(t=> (
-                <div key={t.id} className="flex items-center justify-between border-b py-2">
-                  <div className="text-sm">{t.date} • {t.category} • {t.note}</div>
-                  <div className={`font-semibold ${t.type==='income'? 'text-green-600': 'text-red-600'}`}>{t.type==='income'?'+':''}{formatAmount(t.amount, prefs.currency==='INR'?'₹':'$')}</div>
-                </div>
-              ))}
-            </div>
-            <div className="mt-3 flex gap-2">
-              <button onClick={exportCSV}>Export CSV</button>
-              <button onClick={exportPDF}>Export PDF</button>
-            </div>
-          </div>
+  function save(e){
+    e.preventDefault();
+    const thresholds = parseThresholds(draft.thresholds);
+    const days = v => Math.max(0, Math.round(Number(v) || 0));
+    onSettings({ thresholds: thresholds.length ? thresholds : DEFAULT_NOTIFICATION_SETTINGS.thresholds, billDays: days(draft.billDays), goalDays: days(draft.goalDays), quietStart: draft.quietStart, quietEnd: draft.quietEnd });
+    setDraft(null);
+  }
 
-          {/* Investments & Net worth */}
-          <div className="bg-white rounded shadow p-4">
-            <h3 className="font-semibold">Investments (manual)</h3>
-            <InvestmentPanel investments={investments} onAdd={addInvestment} prefs={prefs} />
+  return (
+    <div className="mt-2 text-sm space-y-2">
+      <label className="block"><input type="checkbox" checked={enabled} onChange={e=> onEnable(e.target.checked)} /> Alerts & reminders</label>
+      {enabled && permission === 'default' && <button type="button" onClick={onAskPermission}>Allow browser notifications</button>}
+      {enabled && (permission === 'denied' || permission === 'unsupported') && (
+        <div className="text-xs text-muted">Browser notifications are {permission === 'denied' ? 'blocked' : 'not available'}; alerts are listed here instead.</div>
+      )}
+      {enabled && !draft && (
+        <div className="text-xs text-muted">
+          Budgets at {settings.thresholds.join(' / ')}% • bills {settings.billDays} day(s) ahead • goals {settings.goalDays} day(s) ahead
+          {settings.quietStart && settings.quietEnd && ` • quiet ${settings.quietStart}–${settings.quietEnd}`}
+          <button type="button" className="ml-1" onClick={()=> setDraft({ ...settings, thresholds: settings.thresholds.join(', ') })}>Change</button>
+        </div>
+      )}
+      {draft && (
+        <form onSubmit={save} className="space-y-1">
+          <label className="block">Budget thresholds (%) <input className="w-32" value={draft.thresholds} onChange={e=>setDraft(d=>({...d, thresholds: e.target.value}))} /></label>
+          <label className="block">Bill reminders <input type="number" min="0" className="w-16" value={draft.billDays} onChange={e=>setDraft(d=>({...d, billDays: e.target.value}))} /> days ahead</label>
+          <label className="block">Goal deadlines <input type="number" min="0" className="w-16" value={draft.goalDays} onChange={e=>setDraft(d=>({...d, goalDays: e.target.value}))} /> days ahead</label>
+          <label className="block">Quiet hours <input type="time" value={draft.quietStart} onChange={e=>setDraft(d=>({...d, quietStart: e.target.value}))} /> to <input type="time" value={draft.quietEnd} onChange={e=>setDraft(d=>({...d, quietEnd: e.target.value}))} /></label>
+          <div className="flex gap-2">
+            <button type="submit">Save</button>
+            <button type="button" onClick={()=> setDraft(null)}>Cancel</button>
           </div>
+        </form>
+      )}
 
-        </section>
-
-        <aside className="space-y-4">
-          {/* KPIs */}
-          <div className="bg-white rounded shadow p-4">
-            <h3 className="font-semibold">Summary</h3>
-            <Summary transactions={transactions} prefs={prefs} budgets={budgets} goals={goals} />
-          </div>
+      <div className="flex justify-between items-center">
+        <span className="font-semibold">{unread ? `${unread} unread` : 'No unread alerts'}</span>
+        <span className="flex gap-2 text-xs">
+          {unread > 0 && <button type="button" onClick={onRead}>Mark all read</button>}
+          {visible.length > 0 && <button type="button" onClick={onClear}>Clear</button>}
+        </span>
+      </div>
+      <ul className="space-y-1 max-h-64 overflow-auto">
+        {visible.map(n=> (
+          <li key={n.id} className={n.read ? 'text-muted' : ''}>
+            <div className={n.read ? '' : 'font-semibold'}>{n.title}</div>
+            <div className="text-xs">{n.body}</div>
+            <div className="text-xs text-muted">{new Date(n.at).toLocaleString()}{!n.delivered && ' • held for quiet hours'}</div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
 
-          {/* Goals */}
-          <div className="bg-white rounded shadow p-4">
-            <h3 className="font-semibold">Goals</h3>
-            <GoalPanel goals={goals} onCreate={createGoal} prefs={prefs} />
-          </div>
+function InsightsPanel({ insights, onDismiss, onRestore }){
+  const [showDismissed, setShowDismissed] = useState(false);
+  const visible = insights.filter(i=> !i.dismissed);
+  const dismissed = insights.filter(i=> i.dismissed);
+  const tone = { alert: 'bg-red-100 text-red-700', warning: 'bg-yellow-100 text-yellow-800', info: 'bg-gray-100' };
+  const label = Object.fromEntries(INSIGHT_SEVERITIES);
 
-          {/* Insights */}
-          <div className="bg-white rounded shadow p-4">
-            <h3 className="font-semibold">Insights</h3>
-            <ul className="mt-2 space-y-2">
-              {insights.map(i=> <li key={i.id} className="text-sm">• {i.text}</li>)}
+  return (
+    <div className="mt-2 text-sm space-y-2">
+      {!visible.length && <div className="text-muted">Nothing to report.</div>}
+      <ul className="space-y-2">
+        {visible.map(i=> (
+          <li key={i.id} className="flex gap-2 items-start">
+            <span className={`text-xs px-1 rounded ${tone[i.severity] || ''}`} title={i.title}>{label[i.severity] || i.severity}</span>
+            <span className="flex-1">{i.text}</span>
+            <button type="button" className="text-xs" title="Dismiss" onClick={()=> onDismiss(i.id)}>✕</button>
+          </li>
+        ))}
+      </ul>
+      {dismissed.length > 0 && (
+        <div className="text-xs text-muted">
+          <button type="button" onClick={()=> setShowDismissed(s=> !s)}>{showDismissed ? 'Hide' : 'Show'} {dismissed.length} dismissed</button>
+          <button type="button" className="ml-2" onClick={()=> onRestore(null)}>Restore all</button>
+          {showDismissed && (
+            <ul className="mt-1 space-y-1">
+              {dismissed.map(i=> <li key={i.id}>{i.text} <button type="button" onClick={()=> onRestore(i.id)}>Restore</button></li>)}
             </ul>
-          </div>
-        </aside>
-      </main>
-
-      <footer className="mt-8 text-center text-xs text-muted">This is a starter implementation — wire up real API keys (Firebase, exchange rates, bank aggregator) to enable full features.</footer>
+          )}
+        </div>
+      )}
     </div>
   );
 }
 
-// ---------- Small subcomponents (embedded to keep single-file) ----------
-
-function AddTxnForm({ onAdd, defaultCurrency }){
-  const [type, setType] = useState('expense');
-  const [amount, setAmount] = useState('');
-  const [category, setCategory] = useState('Food');
-  const [date, setDate] = useState(todayISO());
-  const [note, setNote] = useState('');
-  const [recurring, setRecurring] = useState({ enabled:false, interval:'monthly', endDate:'' });
-
-  function submit(e){ e.preventDefault(); if(!amount) return; onAdd({ type, amount: Number(amount), category, date, note, currency: defaultCurrency, recurring: recurring.enabled? { interval: recurring.interval, endDate: recurring.endDate || null } : null }); setAmount(''); setNote(''); }
-
+function SyncPanel({ online, signedIn, pendingCount, conflicts, onResolve }){
+  const show = v => typeof v === 'object' && v !== null ? JSON.stringify(v) : String(v ?? '—');
   return (
-    <form onSubmit={submit} className="bg-white rounded shadow p-4 mb-4">
-      <div className="grid grid-cols-3 gap-2">
-        <select value={type} onChange={e=>setType(e.target.value)}>
-          <option value="expense">Expense</option>
-          <option value="income">Income</option>
-        </select>
-        <input placeholder="Amount" value={amount} onChange={e=>setAmount(e.target.value)} />
-        <input type="date" value={date} onChange={e=>setDate(e.target.value)} />
+    <div className="mt-2 text-sm space-y-2">
+      <div>
+        {online ? 'Online' : 'Offline'} • {pendingCount} pending change(s)
+        {pendingCount > 0 && !signedIn && ' — saved on this device, will merge into your account when you sign in'}
       </div>
-      <div className="grid grid-cols-3 gap-2 mt-2">
-        <input placeholder="Category" value={category} onChange={e=>setCategory(e.target.value)} />
-        <input placeholder="Note" value={note} onChange={e=>setNote(e.target.value)} />
+      {conflicts.length > 0 && (
         <div>
-          <label><input type="checkbox" checked={recurring.enabled} onChange={e=>setRecurring(r=>({...r, enabled: e.target.checked}))} /> Recurring</label>
-          {recurring.enabled && (
-            <div className="mt-1">
-              <select value={recurring.interval} onChange={e=>setRecurring(r=>({...r, interval: e.target.value}))}>
-                <option value="daily">Daily</option>
-                <option value="weekly">Weekly</option>
-                <option value="monthly">Monthly</option>
-                <option value="yearly">Yearly</option>
-              </select>
-              <input type="date" value={recurring.endDate} onChange={e=>setRecurring(r=>({...r, endDate: e.target.value}))} />
+          <div className="font-semibold">Conflicts (last writer won)</div>
+          {conflicts.map(c=> (
+            <div key={c.id} className="border-b py-1">
+              <div>{c.coll}/{c.docId} • <strong>{c.field}</strong> — kept {c.winner} value</div>
+              <div className="text-xs">This device: {show(c.local)} • Cloud: {show(c.cloud)}</div>
+              <div className="flex gap-2 text-xs">
+                <button type="button" onClick={()=>onResolve(c, 'local')}>Keep this device's</button>
+                <button type="button" onClick={()=>onResolve(c, 'cloud')}>Keep cloud</button>
+              </div>
             </div>
-          )}
+          ))}
         </div>
-      </div>
-      <div className="mt-3">
-        <button type="submit">Add</button>
-      </div>
-    </form>
+      )}
+    </div>
   );
 }
 
-function Summary({ transactions, prefs, budgets, goals }){
-  const income = transactions.filter(t=>t.type==='income').reduce((a,b)=>a+b.amount,0);
-  const expense = transactions.filter(t=>t.type==='expense').reduce((a,b)=>a+b.amount,0);
-  const balance = income - expense;
-  const nextGoal = goals.sort((a,b)=> new Date(a.deadline) - new Date(b.deadline))[0];
+function Summary({ transactions, period, prefs, budgets, goals, fx }){
+  const { income, expense, net: balance } = periodTotals(transactions, fx, period);
+  const nextGoal = [...goals].sort((a,b)=> new Date(a.deadline) - new Date(b.deadline))[0];
+  const nextProgress = nextGoal ? goalProgress(nextGoal, transactions, fx) : null;
   return (
     <div>
-      <div className="text-sm">Income: <strong>{formatAmount(income, prefs.currency==='INR'?'₹':'$')}</strong></div>
-      <div className="text-sm">Expense: <strong>{formatAmount(expense, prefs.currency==='INR'?'₹':'$')}</strong></div>
-      <div className="text-sm">Net: <strong>{formatAmount(balance, prefs.currency==='INR'?'₹':'$')}</strong></div>
+      <div className="text-xs text-muted">{(REPORT_PRESETS.find(([k])=> k === period.preset) || [null, `${period.from || 'start'} → ${period.to || 'today'}`])[1]}</div>
+      <div className="text-sm">Income: <strong>{fx.format(income)}</strong></div>
+      <div className="text-sm">Expense: <strong>{fx.format(expense)}</strong></div>
+      <div className="text-sm">Net: <strong>{fx.format(balance)}</strong></div>
       {nextGoal && (
-        <div className="mt-2 text-sm">Next goal: {nextGoal.name} — target {formatAmount(nextGoal.target, prefs.currency==='INR'?'₹':'$')} by {nextGoal.deadline}</div>
+        <div className="mt-2 text-sm">Next goal: {nextGoal.name} — target {fx.format(nextProgress.target)} by {nextGoal.deadline} ({Math.round(nextProgress.pct*100)}% saved)</div>
       )}
     </div>
   );
 }
 
-function GoalPanel({ goals, onCreate, prefs }){
+function GoalPanel({ goals, transactions, onCreate, onUpdate, onRemove, onContribute, onRemoveContribution, onLink, prefs, fx }){
   const [name, setName] = useState('');
   const [target, setTarget] = useState('');
   const [deadline, setDeadline] = useState('');
-  function submit(e){ e.preventDefault(); if(!name||!target||!deadline) return; onCreate({ name, target: Number(target), deadline, progress:0, createdAt: todayISO() }); setName(''); setTarget(''); setDeadline(''); }
+  function submit(e){ e.preventDefault(); if(!name||!target||!deadline) return; onCreate({ name, target: Number(target), currency: prefs.currency, deadline, allocated: 0, contributions: {}, createdAt: todayISO() }); setName(''); setTarget(''); setDeadline(''); }
   return (
     <div>
       <form onSubmit={submit} className="space-y-2">
@@ -446,38 +4445,217 @@ function GoalPanel({ goals, onCreate, prefs }){
       </form>
       <div className="mt-3">
         {goals.map(g=> (
-          <div key={g.id} className="border p-2 rounded mb-2">
-            <div className="font-semibold">{g.name}</div>
-            <div className="text-sm">Target: {formatAmount(g.target, prefs.currency==='INR'?'₹':'$')} — Deadline: {g.deadline}</div>
-          </div>
+          <GoalCard key={g.id} goal={g} transactions={transactions} onUpdate={onUpdate} onRemove={onRemove} onContribute={onContribute} onRemoveContribution={onRemoveContribution} onLink={onLink} prefs={prefs} fx={fx} />
         ))}
       </div>
     </div>
   );
 }
 
-function InvestmentPanel({ investments, onAdd, prefs }){
-  const [sym, setSym] = useState('');
-  const [qty, setQty] = useState('');
-  const [price, setPrice] = useState('');
-  function submit(e){ e.preventDefault(); if(!sym||!qty||!price) return; onAdd({ symbol: sym.toUpperCase(), quantity: Number(qty), avgPrice: Number(price), createdAt: todayISO() }); setSym(''); setQty(''); setPrice(''); }
-  const netWorth = investments.reduce((a,b)=> a + (b.currentPrice ? b.quantity * b.currentPrice : b.quantity * b.avgPrice), 0);
+function GoalCard({ goal, transactions, onUpdate, onRemove, onContribute, onRemoveContribution, onLink, prefs, fx }){
+  const [editing, setEditing] = useState(null); // { name, target, deadline }
+  const [amount, setAmount] = useState('');
+  const [date, setDate] = useState(todayISO());
+  const [linkId, setLinkId] = useState('');
+  const gp = goalProgress(goal, transactions, fx);
+  const linkable = transactions.filter(t=> !t.goalId).slice(0,50);
+  const statusClass = { done: 'text-green-600', 'on-track': 'text-green-600', behind: 'text-yellow-600', overdue: 'text-red-600' }[gp.status];
+
+  function contribute(e){ e.preventDefault(); if(!Number(amount)) return; onContribute(goal, { amount: Number(amount), date }); setAmount(''); }
+  function saveEdit(e){ e.preventDefault(); if(!editing.name || !Number(editing.target) || !editing.deadline) return; onUpdate(goal.id, { name: editing.name, target: Number(editing.target), deadline: editing.deadline }); setEditing(null); }
+
   return (
-    <div>
-      <form onSubmit={submit} className="space-y-2 mb-3">
-        <input placeholder="Symbol (e.g. AAPL)" value={sym} onChange={e=>setSym(e.target.value)} />
-        <input placeholder="Quantity" value={qty} onChange={e=>setQty(e.target.value)} />
-        <input placeholder="Avg Price" value={price} onChange={e=>setPrice(e.target.value)} />
-        <button type="submit">Add Investment</button>
+    <div className="border p-2 rounded mb-2 text-sm space-y-1">
+      {editing ? (
+        <form onSubmit={saveEdit} className="space-y-1">
+          <input value={editing.name} onChange={e=>setEditing(x=>({...x, name: e.target.value}))} />
+          <input value={editing.target} onChange={e=>setEditing(x=>({...x, target: e.target.value}))} />
+          <input type="date" value={editing.deadline} onChange={e=>setEditing(x=>({...x, deadline: e.target.value}))} />
+          <button type="submit">Save</button> <button type="button" onClick={()=>setEditing(null)}>Cancel</button>
+        </form>
+      ) : (
+        <div className="flex justify-between">
+          <span className="font-semibold">{goal.name}</span>
+          <span className="flex gap-2">
+            <button type="button" onClick={()=>setEditing({ name: goal.name, target: String(goal.target), deadline: goal.deadline })}>Edit</button>
+            <button type="button" onClick={()=>onRemove(goal.id)}>Delete</button>
+          </span>
+        </div>
+      )}
+      <div>{fx.format(gp.saved)} of {fx.format(gp.target)} ({Math.round(gp.pct*100)}%) — Deadline: {goal.deadline}</div>
+      <div className="h-2 bg-gray-200 rounded"><div className="h-2 rounded bg-green-500" style={{ width: `${Math.round(gp.pct*100)}%` }} /></div>
+      {gp.status !== 'done' && (
+        <div className={statusClass}>
+          {gp.monthlyNeeded !== null && <>Needs {fx.format(Math.round(gp.monthlyNeeded))}/month • </>}
+          {gp.projectedDate ? `Projected completion ${gp.projectedDate}` : 'No contributions yet'}
+          {gp.status === 'behind' && ' • behind schedule'}{gp.status === 'overdue' && ' • deadline passed'}
+        </div>
+      )}
+      <form onSubmit={contribute} className="flex gap-1">
+        <input placeholder={`Contribution (${goal.currency || prefs.currency})`} value={amount} onChange={e=>setAmount(e.target.value)} />
+        <input type="date" value={date} onChange={e=>setDate(e.target.value)} />
+        <button type="submit">Add</button>
+      </form>
+      <div className="flex gap-1">
+        <select value={linkId} onChange={e=>setLinkId(e.target.value)}>
+          <option value="">Link a transaction…</option>
+          {linkable.map(t=> <option key={t.id} value={t.id}>{t.date} • {t.note || t.category} • {formatAmount(t.amount, t.currency || prefs.currency)}</option>)}
+        </select>
+        <button type="button" disabled={!linkId} onClick={()=>{ onLink(linkId, goal.id); setLinkId(''); }}>Link</button>
+      </div>
+      {goalContributions(goal).map(c=> (
+        <div key={c.id} className="flex justify-between text-xs">
+          <span>{c.date} • contribution</span>
+          <span>{formatAmount(c.amount, c.currency || goal.currency || prefs.currency)} <button type="button" onClick={()=>onRemoveContribution(goal, c.id)}>×</button></span>
+        </div>
+      ))}
+      {gp.linked.map(t=> (
+        <div key={t.id} className="flex justify-between text-xs">
+          <span>{t.date} • {t.note || t.category}</span>
+          <span>{formatAmount(t.amount, t.currency || prefs.currency)} <button type="button" onClick={()=>onLink(t.id, null)}>Unlink</button></span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function InvestmentPanel({ investments, prices, onAdd, onTag, onRemove, onSavePrices, prefs, onPrefs, fx }){
+  const blank = { kind: 'buy', symbol: '', date: todayISO(), quantity: '', price: '', fees: '', amount: '', ratio: '', taxSection: '' };
+  const deductions = TAX_SECTIONS.filter(s=> !s.gains); // gains come from the sales themselves
+  const [form, setForm] = useState(blank);
+  const [priceForm, setPriceForm] = useState({ symbol: '', date: todayISO(), close: '' });
+  const [priceStatus, setPriceStatus] = useState('');
+  const method = prefs.lotMethod || 'fifo';
+  const summary = useMemo(()=> portfolioSummary(investments, prices, method, fx), [investments, prices, method, fx]);
+  const pct = r => r === null ? '—' : `${(r*100).toFixed(1)}%`;
+
+  function submit(e){
+    e.preventDefault();
+    const symbol = form.symbol.trim().toUpperCase();
+    if(!symbol || !form.date) return;
+    const entry = { kind: form.kind, symbol, date: form.date, currency: summary.holdings.find(h=> h.symbol===symbol)?.currency || prefs.currency, createdAt: todayISO() };
+    if(form.kind === 'buy' || form.kind === 'sell'){
+      if(!Number(form.quantity) || !Number(form.price)) return;
+      Object.assign(entry, { quantity: Number(form.quantity), price: Number(form.price), fees: Number(form.fees) || 0 });
+      if(form.kind === 'buy' && form.taxSection) entry.taxSection = form.taxSection;
+    }else if(form.kind === 'dividend'){
+      if(!Number(form.amount)) return;
+      entry.amount = Number(form.amount);
+    }else{
+      if(!Number(form.ratio)) return;
+      entry.ratio = Number(form.ratio);
+    }
+    onAdd(entry); setForm({ ...blank, kind: form.kind, date: form.date, taxSection: form.taxSection });
+  }
+
+  function submitPrice(e){
+    e.preventDefault();
+    const symbol = priceForm.symbol.trim().toUpperCase();
+    if(!symbol || !priceForm.date || !Number(priceForm.close)) return;
+    onSavePrices({ [symbol]: { [priceForm.date]: Number(priceForm.close) } });
+    setPriceForm(p=> ({ ...p, close: '' }));
+  }
+
+  async function onPriceFile(e){
+    const file = e.target.files?.[0];
+    if(!file) return;
+    const parsed = parsePriceFile(await file.text());
+    const count = Object.values(parsed).reduce((a,c)=> a + Object.keys(c).length, 0);
+    if(count) await onSavePrices(parsed);
+    setPriceStatus(`Loaded ${count} price(s) for ${Object.keys(parsed).length} symbol(s) from ${file.name}.`);
+    e.target.value = '';
+  }
+
+  return (
+    <div className="text-sm">
+      <form onSubmit={submit} className="flex flex-wrap gap-2 mb-3">
+        <select value={form.kind} onChange={e=>setForm(f=>({...f, kind: e.target.value}))}>
+          <option value="buy">Buy</option>
+          <option value="sell">Sell</option>
+          <option value="dividend">Dividend</option>
+          <option value="split">Split</option>
+        </select>
+        <input placeholder="Symbol (e.g. AAPL)" value={form.symbol} onChange={e=>setForm(f=>({...f, symbol: e.target.value}))} />
+        <input type="date" value={form.date} onChange={e=>setForm(f=>({...f, date: e.target.value}))} />
+        {(form.kind==='buy' || form.kind==='sell') && (
+          <>
+            <input placeholder="Quantity" value={form.quantity} onChange={e=>setForm(f=>({...f, quantity: e.target.value}))} />
+            <input placeholder="Price" value={form.price} onChange={e=>setForm(f=>({...f, price: e.target.value}))} />
+            <input placeholder="Fees" value={form.fees} onChange={e=>setForm(f=>({...f, fees: e.target.value}))} />
+            {form.kind==='buy' && <TaxSectionPicker value={form.taxSection} onChange={taxSection=> setForm(f=>({...f, taxSection}))} sections={deductions} />}
+          </>
+        )}
+        {form.kind==='dividend' && <input placeholder="Amount received" value={form.amount} onChange={e=>setForm(f=>({...f, amount: e.target.value}))} />}
+        {form.kind==='split' && <input placeholder="Ratio (2 = 2-for-1)" value={form.ratio} onChange={e=>setForm(f=>({...f, ratio: e.target.value}))} />}
+        <button type="submit">Add</button>
       </form>
-      <div className="text-sm">Net worth (approx): {formatAmount(Math.round(netWorth), prefs.currency==='INR'?'₹':'$')}</div>
+
+      <div className="flex flex-wrap gap-2 items-center mb-3">
+        <form onSubmit={submitPrice} className="flex gap-1">
+          <input placeholder="Symbol" value={priceForm.symbol} onChange={e=>setPriceForm(p=>({...p, symbol: e.target.value}))} />
+          <input type="date" value={priceForm.date} onChange={e=>setPriceForm(p=>({...p, date: e.target.value}))} />
+          <input placeholder="Close" value={priceForm.close} onChange={e=>setPriceForm(p=>({...p, close: e.target.value}))} />
+          <button type="submit">Update price</button>
+        </form>
+        <label>Price file (symbol,date,close) <input type="file" accept=".csv,.txt" onChange={onPriceFile} /></label>
+        {priceStatus && <span className="text-green-600">{priceStatus}</span>}
+      </div>
+
+      <div className="flex gap-3 items-center">
+        <span>Net worth (approx): <strong>{fx.format(Math.round(summary.marketValue))}</strong></span>
+        <span>Unrealized: {fx.format(Math.round(summary.unrealized))}</span>
+        <span>Realized: {fx.format(Math.round(summary.realized))}</span>
+        <span>Dividends: {fx.format(Math.round(summary.dividends))}</span>
+        <span>XIRR: {pct(summary.xirr)}</span>
+        <label>Lots <select value={method} onChange={e=> onPrefs({ lotMethod: e.target.value })}>
+          <option value="fifo">FIFO</option>
+          <option value="average">Average cost</option>
+        </select></label>
+      </div>
+
+      <table className="w-full mt-2">
+        <thead><tr><th className="text-left">Symbol</th><th>Qty</th><th>Avg cost</th><th>Last price</th><th>Value</th><th>Unrealized</th><th>Realized</th><th>XIRR</th></tr></thead>
+        <tbody>
+          {summary.holdings.map(h=>{
+            const cur = h.currency || prefs.currency;
+            return (
+              <tr key={h.symbol}>
+                <td>{h.symbol}</td>
+                <td className="text-right">{Number(h.quantity.toFixed(4))}</td>
+                <td className="text-right">{formatAmount(h.avgCost, cur)}</td>
+                <td className="text-right">{h.last ? <>{formatAmount(h.last.close, cur)} <span className="text-xs text-muted">{h.last.date}</span></> : <span className="text-muted">no price</span>}</td>
+                <td className="text-right">{formatAmount(h.marketValue, cur)}</td>
+                <td className={`text-right ${h.unrealized < 0 ? 'text-red-600' : 'text-green-600'}`}>{formatAmount(h.unrealized, cur)}</td>
+                <td className={`text-right ${h.realized < 0 ? 'text-red-600' : 'text-green-600'}`}>{formatAmount(h.realized, cur)}</td>
+                <td className="text-right">{pct(h.xirr)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
       <div className="mt-2">
-        {investments.map(inv=> (
-          <div key={inv.id} className="text-sm">{inv.symbol} • {inv.quantity} @ {formatAmount(inv.avgPrice, prefs.currency==='INR'?'₹':'$')}</div>
+        <div className="font-semibold">Ledger</div>
+        {[...investments].map(normalizeLedgerEntry).sort((a,b)=> b.date.localeCompare(a.date)).slice(0,30).map(inv=> (
+          <div key={inv.id} className="flex justify-between">
+            <span>
+              {inv.date} • {inv.kind} • {inv.symbol}
+              {(inv.kind==='buy' || inv.kind==='sell') && <> • {inv.quantity} @ {formatAmount(inv.price, inv.currency||prefs.currency)}{inv.fees ? ` + ${formatAmount(inv.fees, inv.currency||prefs.currency)} fees` : ''}</>}
+              {inv.kind==='dividend' && <> • {formatAmount(inv.amount, inv.currency||prefs.currency)}</>}
+              {inv.kind==='split' && <> • {inv.ratio}:1</>}
+            </span>
+            <span>
+              {inv.kind==='buy' && <TaxSectionPicker value={inv.taxSection} onChange={s=> onTag(inv.id, s)} sections={deductions} />}
+              <button type="button" onClick={()=>onRemove(inv.id)}>×</button>
+            </span>
+          </div>
         ))}
       </div>
     </div>
   );
 }
 
+// storage backends, the sync engine & merge logic, exported for embedding the app over other backends
+export { createMemoryRepository, createLocalRepository, createFirestoreRepository, createRepositories, createSyncEngine, mergeQueuedOp };
+
 // End of file